@@ -68,11 +68,60 @@ function parseBool(value, defaultValue = true) {
 	return lower !== "0" && lower !== "false" && lower !== "no";
 }
 
+/**
+ * Parse SearXNG safe search level.
+ * Accepts "0" (off), "1" (moderate) or "2" (strict); anything else means
+ * "use the instance default".
+ * @param {string} value - String value to parse
+ * @returns {number|undefined} Safe search level or undefined for instance default
+ */
+function parseSafeSearch(value) {
+	if (value === "0" || value === "1" || value === "2") {
+		return Number(value);
+	}
+	return undefined;
+}
+
+/**
+ * Parse and normalize a SearXNG language code.
+ * Accepts an optional leading ":" as typed in queries (":de-ch" → "de-CH").
+ * Region subtags are uppercased, script subtags title-cased (zh-hant → zh-Hant).
+ * @param {string} value - Language code or modifier
+ * @returns {string|null} Normalized language code or null if invalid
+ */
+function parseLanguage(value) {
+	const match = /^:?([a-z]{2,3}|auto)(?:-([a-z]{2}|[a-z]{4}))?$/i.exec(value || "");
+	if (!match) return null;
+	const lang = match[1].toLowerCase();
+	const subtag = match[2];
+	if (!subtag) return lang;
+	if (subtag.length === 2) return `${lang}-${subtag.toUpperCase()}`;
+	return `${lang}-${subtag.charAt(0).toUpperCase()}${subtag.slice(1).toLowerCase()}`;
+}
+
 const CONFIG = {
 	searxngUrl: getEnv("searxng_url"),
 	timeoutMs: parseTimeout(getEnv("timeout_ms", "5000")),
 	secretKey: getEnv("secret_key", ""), // For SearXNG favicon proxy HMAC
 	enableResultCache: parseBool(getEnv("enable_result_cache", "1")),
+	defaultLanguage: parseLanguage(getEnv("default_language", "")),
+	safeSearch: parseSafeSearch(getEnv("safe_search", "")),
+	showEngines: parseBool(getEnv("show_engines", "0"), false),
+	urlRules: parseUrlRules(getEnv("url_rules", "")),
+	frontendRewrites: parseFrontendRewrites(getEnv("frontend_rewrites", "")),
+	domainLists: {
+		blocked: parseDomainList(getEnv("blocked_domains", "")),
+		lowered: parseDomainList(getEnv("lowered_domains", "")),
+		boosted: parseDomainList(getEnv("boosted_domains", "")),
+	},
+	refineSuggestions: getEnv("suggestion_action", "refine") !== "browser",
+	copyFormat: getEnv("copy_format", "markdown"),
+	archiveUrls: {
+		latest: getEnv("archive_latest_url", "https://web.archive.org/web/{url}"),
+		alternate: getEnv("archive_alternate_url", "https://archive.ph/newest/{url}"),
+		save: getEnv("archive_save_url", "https://web.archive.org/save/{url}"),
+	},
+	mapUrlTemplate: getEnv("map_url_template", "https://www.openstreetmap.org/?mlat={lat}&mlon={lon}#map={zoom}/{lat}/{lon}"),
 };
 
 // ============================================================================
@@ -119,91 +168,1216 @@ function truncate(text, maxLength) {
 }
 
 /**
- * Shell-escape a string for safe interpolation into shell commands.
- * Wraps string in single quotes and escapes any embedded single quotes.
- * @param {string} str - String to escape
- * @returns {string} Shell-safe escaped string
+ * Shell-escape a string for safe interpolation into shell commands.
+ * Wraps string in single quotes and escapes any embedded single quotes.
+ * @param {string} str - String to escape
+ * @returns {string} Shell-safe escaped string
+ */
+function shellEscape(str) {
+	return "'" + str.replace(/'/g, "'\\''") + "'";
+}
+
+/**
+ * Search languages always accepted as :xx modifiers; the instance's locales can
+ * add more. Region variants (:de-CH) of these are accepted too.
+ */
+const BUILTIN_LANGUAGES = [
+	"af", "ar", "be", "bg", "bn", "ca", "cs", "cy", "da", "de", "el", "en", "es", "et", "eu",
+	"fa", "fi", "fr", "ga", "gl", "he", "hi", "hr", "hu", "hy", "id", "is", "it", "ja", "ka",
+	"kk", "ko", "lt", "lv", "mk", "ml", "mr", "ms", "nb", "nl", "no", "pl", "pt", "ro", "ru",
+	"sk", "sl", "sq", "sr", "sv", "sw", "ta", "te", "th", "tr", "uk", "ur", "uz", "vi", "zh",
+];
+
+/**
+ * Check whether a normalized language code is a known search language.
+ * "auto" is always known; region and script variants are known when their
+ * language is ("de-CH" when "de" is listed).
+ * @param {string|null} code - Language code from parseLanguage
+ * @param {string[]} languages - Known language codes (lowercase)
+ * @returns {boolean}
+ */
+function isKnownLanguage(code, languages) {
+	if (!code) return false;
+	if (code === "auto") return true;
+	const lower = code.toLowerCase();
+	return languages.includes(lower) || languages.includes(lower.split("-")[0]);
+}
+
+/**
+ * Built-in bang vocabulary, used when the instance's /config is unavailable.
+ * Keys are the bangs as typed (lowercase), values the SearXNG parameter value.
+ */
+const BUILTIN_BANGS = {
+	categories: {
+		"!images": "images",
+		"!i": "images",
+		"!news": "news",
+		"!n": "news",
+		"!videos": "videos",
+		"!v": "videos",
+		"!maps": "maps",
+		"!science": "science",
+		"!sci": "science",
+		"!it": "it",
+	},
+	timeRanges: {
+		"!d": "day",
+		"!w": "week",
+		"!m": "month",
+		"!y": "year",
+	},
+	safeSearch: {
+		"!nosafe": 0,
+		"!safe": 1,
+		"!strict": 2,
+	},
+	// Client-side orderings; SearXNG itself only ranks by score
+	sortOrders: {
+		"!new": "date",
+	},
+	// Engine shortcuts from SearXNG's default settings.yml
+	engines: {
+		"!wp": "wikipedia",
+		"!wd": "wikidata",
+		"!gh": "github",
+		"!ddg": "duckduckgo",
+		"!go": "google",
+		"!bi": "bing",
+		"!br": "brave",
+		"!sp": "startpage",
+		"!qw": "qwant",
+		"!yt": "youtube",
+		"!re": "reddit",
+		"!arx": "arxiv",
+		"!osm": "openstreetmap",
+		"!mdn": "mdn",
+	},
+	languages: BUILTIN_LANGUAGES,
+};
+
+// Highest page a page bang can request. Earlier pages missing from the
+// result page cache are fetched one by one, so this bounds the wait.
+const MAX_RESULT_PAGE = 10;
+
+/**
+ * Parse bang modifiers from query string.
+ * Extracts category bangs (!i, !images, !n, !news, !v, !videos, !maps, !sci, !science, !it),
+ * time range bangs (!d, !w, !m, !y), safe search bangs (!nosafe, !safe, !strict),
+ * sort bangs (!new), engine bangs (!wp, !gh, !ddg, ...), language modifiers (:en, :de-CH)
+ * and page bangs (!p2, !p3, ..., up to MAX_RESULT_PAGE) from anywhere in the query.
+ * @param {string} query - Raw query string with potential bangs
+ * @param {object} [bangs=BUILTIN_BANGS] - Bang vocabulary ({categories, timeRanges, safeSearch, sortOrders, engines, languages})
+ * @returns {{query: string, categories: string[], timeRange: string|undefined, safeSearch: number|undefined, sort: string|undefined, engines: string[], language: string|undefined, page: number|undefined}}
+ */
+function parseBangs(query, bangs = BUILTIN_BANGS) {
+	const categories = [];
+	let timeRange;
+	let safeSearch;
+	let sort;
+	const engines = [];
+	let language;
+	let page;
+	let cleanQuery = query;
+
+	// Helper to replace a bang, handling spacing correctly.
+	// The regex captures: (before)(bang)(after) where before/after are whitespace or boundaries.
+	// Three cases with intentionally asymmetric returns:
+	// 1. Bang at start (before is empty): remove bang entirely, no leading space needed
+	// 2. Bang at end (after is empty): preserve the leading space from 'before'
+	// 3. Bang between words: collapse to single space to avoid double-spacing
+	const replaceBang = (str, regex) => {
+		return str.replace(regex, (match, before, after) => {
+			if (before === "" || before === undefined) return ""; // Case 1: bang at start
+			if (after === "" || after === undefined) return before; // Case 2: bang at end
+			return " "; // Case 3: bang between words
+		});
+	};
+
+	// Build a word-boundary regex for a bang; instance shortcuts may contain regex characters
+	const bangRegex = (bang) => {
+		const escaped = bang.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		return new RegExp(`(^|\\s)${escaped}(\\s|$)`, "gi");
+	};
+
+	// Extract category bangs (case-insensitive, word boundary)
+	// Keep replacing until no more matches (handles duplicates like "!i !i cats")
+	// Several categories can be combined (e.g. "!i !v cats")
+	for (const [bang, value] of Object.entries(bangs.categories)) {
+		const regex = bangRegex(bang);
+		let newQuery = replaceBang(cleanQuery, regex);
+		while (newQuery !== cleanQuery) {
+			if (!categories.includes(value)) {
+				categories.push(value);
+			}
+			cleanQuery = newQuery;
+			newQuery = replaceBang(cleanQuery, regex);
+		}
+	}
+
+	// Extract time range bangs (case-insensitive, word boundary)
+	for (const [bang, value] of Object.entries(bangs.timeRanges)) {
+		const regex = bangRegex(bang);
+		let newQuery = replaceBang(cleanQuery, regex);
+		while (newQuery !== cleanQuery) {
+			timeRange = value;
+			cleanQuery = newQuery;
+			newQuery = replaceBang(cleanQuery, regex);
+		}
+	}
+
+	// Extract safe search bangs (case-insensitive, word boundary)
+	for (const [bang, value] of Object.entries(bangs.safeSearch)) {
+		const regex = bangRegex(bang);
+		let newQuery = replaceBang(cleanQuery, regex);
+		while (newQuery !== cleanQuery) {
+			safeSearch = value;
+			cleanQuery = newQuery;
+			newQuery = replaceBang(cleanQuery, regex);
+		}
+	}
+
+	// Extract sort bangs (case-insensitive, word boundary)
+	for (const [bang, value] of Object.entries(bangs.sortOrders)) {
+		const regex = bangRegex(bang);
+		let newQuery = replaceBang(cleanQuery, regex);
+		while (newQuery !== cleanQuery) {
+			sort = value;
+			cleanQuery = newQuery;
+			newQuery = replaceBang(cleanQuery, regex);
+		}
+	}
+
+	// Extract engine bangs (case-insensitive, word boundary)
+	// Like categories, several engines can be combined
+	for (const [bang, value] of Object.entries(bangs.engines)) {
+		const regex = bangRegex(bang);
+		let newQuery = replaceBang(cleanQuery, regex);
+		while (newQuery !== cleanQuery) {
+			if (!engines.includes(value)) {
+				engines.push(value);
+			}
+			cleanQuery = newQuery;
+			newQuery = replaceBang(cleanQuery, regex);
+		}
+	}
+
+	// Extract language modifiers (:en, :de-CH) in order so the last one wins.
+	// Only known languages count: ":wq" or ":not" stay part of the search text.
+	const languageTokens =
+		cleanQuery.match(/(?:^|\s):(?:[a-z]{2,3}|auto)(?:-(?:[a-z]{2}|[a-z]{4}))?(?=\s|$)/gi) || [];
+	for (const token of languageTokens.map((t) => t.trim())) {
+		const code = parseLanguage(token);
+		if (!isKnownLanguage(code, bangs.languages || BUILTIN_LANGUAGES)) continue;
+		language = code;
+		cleanQuery = replaceBang(cleanQuery, bangRegex(token));
+	}
+
+	// Extract page bangs (!p2, !p3, ...), one at a time so the last one wins
+	// Pages past MAX_RESULT_PAGE are capped, so "!p100" never reaches SearXNG as text
+	const pageRegex = /(^|\s)!p\d+(\s|$)/i;
+	let pageMatch = cleanQuery.match(pageRegex);
+	while (pageMatch) {
+		const requested = Number.parseInt(pageMatch[0].trim().slice(2), 10);
+		page = Math.min(MAX_RESULT_PAGE, Math.max(1, requested));
+		cleanQuery = replaceBang(cleanQuery, pageRegex);
+		pageMatch = cleanQuery.match(pageRegex);
+	}
+
+	// Collapse runs of 3+ spaces to 2, then trim
+	cleanQuery = cleanQuery.replace(/\s{3,}/g, "  ").trim();
+
+	return {
+		query: cleanQuery,
+		categories,
+		timeRange,
+		safeSearch,
+		sort,
+		engines,
+		language,
+		page,
+	};
+}
+
+/**
+ * Build a SearXNG web UI search URL with the active bang filters applied.
+ * @param {string} searxngUrl - Base SearXNG URL
+ * @param {string} query - Search query
+ * @param {object} filters - Active filters from parseBangs
+ * @param {string[]} [filters.categories] - Category filter
+ * @param {string} [filters.timeRange] - Time range filter
+ * @param {number} [filters.safeSearch] - Safe search level (0, 1, 2)
+ * @param {string[]} [filters.engines] - Engine filter
+ * @param {string} [filters.language] - Search language
+ * @returns {string} Search URL
+ */
+function buildSearchUrl(searxngUrl, query, filters) {
+	let searchUrl = `${searxngUrl}/search?q=${encodeURIComponent(query)}`;
+	if (filters.categories && filters.categories.length > 0) {
+		searchUrl += `&categories=${encodeURIComponent(filters.categories.join(","))}`;
+	}
+	if (filters.timeRange) {
+		searchUrl += `&time_range=${encodeURIComponent(filters.timeRange)}`;
+	}
+	if (typeof filters.safeSearch === "number") {
+		searchUrl += `&safesearch=${filters.safeSearch}`;
+	}
+	if (filters.engines && filters.engines.length > 0) {
+		searchUrl += `&engines=${encodeURIComponent(filters.engines.join(","))}`;
+	}
+	if (filters.language) {
+		searchUrl += `&language=${encodeURIComponent(filters.language)}`;
+	}
+	return searchUrl;
+}
+
+/**
+ * Find a bang the user is still typing at the end of the query.
+ * Returns null when the query ends with whitespace (the bang is finished)
+ * or its last word doesn't start with "!".
+ * @param {string} query - Raw query string (not trimmed at the end)
+ * @returns {{prefix: string, partial: string}|null} Text before the bang and the partial bang
+ */
+function getPartialBang(query) {
+	const match = query.match(/(^|\s)(!\S*)$/);
+	if (!match) return null;
+	return {
+		prefix: query.slice(0, query.length - match[2].length),
+		partial: match[2],
+	};
+}
+
+/**
+ * List bangs from the vocabulary that start with a partial bang.
+ * Returns categories first, then time ranges, safe search levels, sort orders and engines.
+ * @param {string} partial - Partial bang including "!" (e.g. "!ne")
+ * @param {object} bangs - Bang vocabulary ({categories, timeRanges, safeSearch, sortOrders, engines})
+ * @returns {{bang: string, description: string}[]} Matching bangs with descriptions
+ */
+function matchBangs(partial, bangs) {
+	const prefix = partial.toLowerCase();
+	const timeLabels = { day: "past day", week: "past week", month: "past month", year: "past year" };
+	const safeSearchLabels = ["off", "moderate", "strict"];
+	const matches = [];
+	for (const [bang, category] of Object.entries(bangs.categories)) {
+		if (bang.startsWith(prefix)) matches.push({ bang, description: `Category: ${category}` });
+	}
+	for (const [bang, timeRange] of Object.entries(bangs.timeRanges)) {
+		if (bang.startsWith(prefix)) {
+			matches.push({ bang, description: `Time range: ${timeLabels[timeRange] || timeRange}` });
+		}
+	}
+	for (const [bang, level] of Object.entries(bangs.safeSearch)) {
+		if (bang.startsWith(prefix)) matches.push({ bang, description: `Safe search: ${safeSearchLabels[level]}` });
+	}
+	for (const [bang, order] of Object.entries(bangs.sortOrders)) {
+		if (bang.startsWith(prefix)) matches.push({ bang, description: `Sort: ${order === "date" ? "newest first" : order}` });
+	}
+	for (const [bang, engine] of Object.entries(bangs.engines)) {
+		if (bang.startsWith(prefix)) matches.push({ bang, description: `Engine: ${engine}` });
+	}
+	return matches;
+}
+
+/**
+ * Group results by their category, in the order the categories were requested.
+ * Results from other (or no) categories go into a trailing "other" group.
+ * Empty groups are dropped.
+ * @param {object[]} results - SearXNG result objects
+ * @param {string[]} categories - Requested categories
+ * @returns {{category: string, results: object[]}[]} Groups in display order
+ */
+function groupResultsByCategory(results, categories) {
+	const groups = categories.map((category) => ({ category, results: [] }));
+	const other = { category: "other", results: [] };
+	for (const result of results) {
+		const group = groups.find((g) => g.category === result.category);
+		(group || other).results.push(result);
+	}
+	groups.push(other);
+	return groups.filter((g) => g.results.length > 0);
+}
+
+/**
+ * Merge result pages into one list, dropping results whose URL
+ * already appeared on an earlier page.
+ * @param {object[][]} pages - Result arrays, first page first
+ * @returns {object[]} Merged results
+ */
+function mergeResultPages(pages) {
+	const seen = new Set();
+	const merged = [];
+	for (const results of pages) {
+		for (const result of results) {
+			if (!result || !result.url || seen.has(result.url)) continue;
+			seen.add(result.url);
+			merged.push(result);
+		}
+	}
+	return merged;
+}
+
+/**
+ * Normalize the `answers` of a SearXNG response.
+ * Older instances return plain strings, newer ones objects with
+ * `answer` and an optional source `url`. Empty and repeated answers are dropped.
+ * @param {Array<string|object>} answers - Raw answers from the response
+ * @returns {{text: string, url: string|null}[]} Normalized answers
+ */
+function parseAnswers(answers) {
+	if (!Array.isArray(answers)) return [];
+	const seen = new Set();
+	const parsed = [];
+	for (const answer of answers) {
+		const raw = typeof answer === "string" ? answer : answer && answer.answer;
+		const text = typeof raw === "string" ? raw.trim() : "";
+		if (!text || seen.has(text)) continue;
+		seen.add(text);
+		const url = answer && typeof answer.url === "string" && answer.url ? answer.url : null;
+		parsed.push({ text, url });
+	}
+	return parsed;
+}
+
+/**
+ * Pick the links of an infobox by role.
+ * The primary link prefers Wikipedia, then the infobox id, then its first link.
+ * @param {object} infobox - SearXNG infobox
+ * @returns {{primary: string|null, official: string|null, wikipedia: string|null, wikidata: string|null}}
+ */
+function pickInfoboxUrls(infobox) {
+	const urls = (Array.isArray(infobox.urls) ? infobox.urls : []).filter(
+		(u) => u && typeof u.url === "string" && /^https?:\/\//i.test(u.url)
+	);
+	const find = (predicate) => {
+		const match = urls.find(predicate);
+		return match ? match.url : null;
+	};
+	const wikipedia = find((u) => /(^|\.)wikipedia\.org$/i.test(extractDomain(u.url)));
+	const wikidata = find((u) => /(^|\.)wikidata\.org$/i.test(extractDomain(u.url)));
+	const official = find((u) => u.official === true || /^official (web)?site$/i.test(u.title || ""));
+	const id = typeof infobox.id === "string" && /^https?:\/\//i.test(infobox.id) ? infobox.id : null;
+	return {
+		primary: wikipedia || id || (urls.length > 0 ? urls[0].url : null),
+		official,
+		wikipedia,
+		wikidata,
+	};
+}
+
+/**
+ * Format an infobox as Large Type text: name, description,
+ * one "Label: value" line per attribute, then its links.
+ * @param {object} infobox - SearXNG infobox
+ * @returns {string} Formatted text
+ */
+function formatInfoboxLargeType(infobox) {
+	const sections = [infobox.infobox];
+	if (infobox.content) {
+		sections.push(infobox.content.trim());
+	}
+	const attributes = (Array.isArray(infobox.attributes) ? infobox.attributes : [])
+		.filter((a) => a && a.label && typeof a.value === "string" && a.value.trim())
+		.map((a) => `${a.label}: ${a.value.trim()}`);
+	if (attributes.length > 0) {
+		sections.push(attributes.join("\n"));
+	}
+	const links = (Array.isArray(infobox.urls) ? infobox.urls : [])
+		.filter((u) => u && u.title && u.url)
+		.map((u) => `${u.title}: ${u.url}`);
+	if (links.length > 0) {
+		sections.push(links.join("\n"));
+	}
+	return sections.join("\n\n");
+}
+
+/**
+ * Pick alternative queries (corrections, related searches) worth offering.
+ * Drops blanks, the query itself, anything in `exclude` and duplicates
+ * (all case-insensitive).
+ * @param {string[]} candidates - Queries from the search response
+ * @param {string} query - Current query without bangs
+ * @param {string[]} [exclude=[]] - Queries already offered elsewhere
+ * @param {number} [limit=5] - Maximum number of queries
+ * @returns {string[]} Queries to offer
+ */
+function pickAlternativeQueries(candidates, query, exclude = [], limit = 5) {
+	if (!Array.isArray(candidates)) return [];
+	const seen = new Set([query, ...exclude].map((q) => q.trim().toLowerCase()));
+	const picked = [];
+	for (const candidate of candidates) {
+		if (typeof candidate !== "string") continue;
+		const text = candidate.trim();
+		if (!text || seen.has(text.toLowerCase())) continue;
+		seen.add(text.toLowerCase());
+		picked.push(text);
+		if (picked.length >= limit) break;
+	}
+	return picked;
+}
+
+/**
+ * Swap the search text of a raw query, keeping its bangs and language
+ * modifiers. Page bangs are dropped so the new search starts on page 1.
+ * Colon tokens that are not known languages (":wq") belong to the old text.
+ * @param {string} query - Raw query string, including bangs
+ * @param {string} text - New search text
+ * @param {string[]} [languages=BUILTIN_LANGUAGES] - Known language codes
+ * @returns {string} Query for the new search (e.g. "rust !n :de")
+ */
+function replaceQueryText(query, text, languages = BUILTIN_LANGUAGES) {
+	const modifiers = query.split(/\s+/).filter((token) => {
+		if (/^!p\d+$/i.test(token)) return false;
+		if (/^!\S+$/.test(token)) return true;
+		return token.startsWith(":") && isKnownLanguage(parseLanguage(token), languages);
+	});
+	return [text, ...modifiers].join(" ");
+}
+
+/**
+ * Determine how a result should be rendered.
+ * Uses the result template SearXNG picked ("images.html", "videos.html", ...),
+ * falling back to the category for engines that use the default template.
+ * @param {object} result - SearXNG result object
+ * @returns {string} Result type (e.g. "images", "videos", "news") or "default"
+ */
+function getResultType(result) {
+	const template = (result.template || "").replace(/\.html$/, "");
+	if (template && template !== "default") {
+		return template;
+	}
+	if (result.category === "images" || result.category === "videos" || result.category === "news") {
+		return result.category;
+	}
+	return "default";
+}
+
+/**
+ * Build the subtitle of an image result: resolution, source and filters.
+ * @param {object} result - SearXNG image result
+ * @param {string} filterInfo - Active filter summary from formatFilterSubtitle
+ * @returns {string} Subtitle (e.g. "1920 × 1080 · Wikimedia Commons")
+ */
+function formatImageSubtitle(result, filterInfo) {
+	const parts = [];
+	if (result.resolution) {
+		parts.push(String(result.resolution).replace(/\s*[x×]\s*/i, " × "));
+	}
+	parts.push(result.source || extractDomain(result.url));
+	if (filterInfo) {
+		parts.push(filterInfo);
+	}
+	return parts.join(" · ");
+}
+
+/**
+ * Parse a SearXNG `publishedDate`.
+ * Accepts ISO 8601 with or without "T" separator and time zone.
+ * @param {string} value - Date string from the result
+ * @returns {Date|null} Parsed date or null if missing or invalid
+ */
+function parsePublishedDate(value) {
+	if (typeof value !== "string" || !value.trim()) return null;
+	const date = new Date(value.trim().replace(/^(\d{4}-\d{2}-\d{2}) /, "$1T"));
+	return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Describe how long ago a date was ("5 min ago", "2h ago", "3 days ago").
+ * @param {Date} date - Date to describe
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string} Relative age
+ */
+function formatRelativeTime(date, now = new Date()) {
+	const seconds = Math.max(0, Math.floor((now.getTime() - date.getTime()) / 1000));
+	const plural = (n, unit) => `${n} ${unit}${n === 1 ? "" : "s"} ago`;
+	if (seconds < 60) return "just now";
+	if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+	if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+	const days = Math.floor(seconds / 86400);
+	if (days < 14) return plural(days, "day");
+	if (days < 60) return plural(Math.floor(days / 7), "week");
+	if (days < 365) return plural(Math.floor(days / 30), "month");
+	return plural(Math.floor(days / 365), "year");
+}
+
+/**
+ * Format a video length for display.
+ * SearXNG returns either seconds or a preformatted "H:MM:SS" string;
+ * a leading zero hour is dropped ("0:12:34" → "12:34").
+ * @param {number|string} length - Video length from the result
+ * @returns {string} Formatted length or empty string if unknown
+ */
+function formatDuration(length) {
+	if (typeof length === "number" && length > 0) {
+		const total = Math.round(length);
+		const h = Math.floor(total / 3600);
+		const m = Math.floor((total % 3600) / 60);
+		const sec = String(total % 60).padStart(2, "0");
+		return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+	}
+	if (typeof length === "string") {
+		return length.trim().replace(/^0+:(?=\d{1,2}:\d{2}$)/, "");
+	}
+	return "";
+}
+
+/**
+ * Build the subtitle of a video result: length, channel and age.
+ * @param {object} result - SearXNG video result
+ * @param {string} filterInfo - Active filter summary from formatFilterSubtitle
+ * @param {Date} [now=new Date()] - Reference time for the age
+ * @returns {string} Subtitle (e.g. "12:34 · Channel · 3 days ago")
+ */
+function formatVideoSubtitle(result, filterInfo, now = new Date()) {
+	const parts = [];
+	const duration = formatDuration(result.length);
+	if (duration) {
+		parts.push(duration);
+	}
+	parts.push(result.author || extractDomain(result.url));
+	const published = parsePublishedDate(result.publishedDate);
+	if (published) {
+		parts.push(formatRelativeTime(published, now));
+	}
+	if (filterInfo) {
+		parts.push(filterInfo);
+	}
+	return parts.join(" · ");
+}
+
+/**
+ * Strip start timestamps from a video URL and normalize YouTube links
+ * (youtu.be, shorts, embed) to their watch URL.
+ * @param {string} url - Video URL
+ * @returns {string} Canonical URL without timestamp
+ */
+function canonicalVideoUrl(url) {
+	const youtube = url.match(
+		/^https?:\/\/(?:(?:www\.|m\.)?youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/|live\/)|youtu\.be\/)([\w-]{11})/i
+	);
+	if (youtube) {
+		return `https://www.youtube.com/watch?v=${youtube[1]}`;
+	}
+
+	const [withoutFragment] = url.split("#");
+	const [base, queryString] = withoutFragment.split(/\?(.*)/s);
+	if (!queryString) {
+		return base;
+	}
+	const params = queryString
+		.split("&")
+		.filter((param) => param && !/^(t|start|time_continue)=/i.test(param));
+	return params.length > 0 ? `${base}?${params.join("&")}` : base;
+}
+
+/**
+ * Sort results newest first. Undated results keep their score order
+ * and go after all dated ones.
+ * @param {object[]} results - SearXNG results in score order
+ * @returns {object[]} New array sorted by publishedDate
+ */
+function sortResultsByDate(results) {
+	const dated = [];
+	const undated = [];
+	for (const result of results) {
+		const published = parsePublishedDate(result.publishedDate);
+		if (published) {
+			dated.push({ result, time: published.getTime() });
+		} else {
+			undated.push(result);
+		}
+	}
+	// Array.prototype.sort is stable, so equal dates keep their score order
+	dated.sort((a, b) => b.time - a.time);
+	return [...dated.map((d) => d.result), ...undated];
+}
+
+/**
+ * Format a date as a full local timestamp ("2026-03-07 14:05").
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted timestamp
+ */
+function formatTimestamp(date) {
+	const pad = (n) => String(n).padStart(2, "0");
+	return (
+		`${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+		`${pad(date.getHours())}:${pad(date.getMinutes())}`
+	);
+}
+
+/**
+ * Format the address of a map result on one line
+ * ("Unter den Linden 1, 10117 Berlin, Germany").
+ * @param {object} address - SearXNG address ({road, house_number, postcode, locality, country})
+ * @returns {string} Formatted address or empty string
+ */
+function formatAddress(address) {
+	if (!address) return "";
+	const street = [address.road, address.house_number].filter(Boolean).join(" ");
+	const city = [address.postcode, address.locality].filter(Boolean).join(" ");
+	return [street, city, address.country].filter(Boolean).join(", ");
+}
+
+/**
+ * Estimate a map zoom level that fits a bounding box.
+ * @param {Array<number|string>} boundingbox - [minLat, maxLat, minLon, maxLon]
+ * @returns {number} Zoom level between 3 and 18 (16 if unknown)
+ */
+function mapZoom(boundingbox) {
+	if (!Array.isArray(boundingbox) || boundingbox.length !== 4) return 16;
+	const [minLat, maxLat, minLon, maxLon] = boundingbox.map(Number);
+	const span = Math.max(Math.abs(maxLat - minLat), Math.abs(maxLon - minLon));
+	if (!Number.isFinite(span) || span <= 0) return 16;
+	return Math.min(18, Math.max(3, Math.round(Math.log2(360 / span))));
+}
+
+/**
+ * Fill a map URL template.
+ * Placeholders: {lat}, {lon}, {zoom} and {name} (URL-encoded).
+ * @param {string} template - Map URL template
+ * @param {{lat: number, lon: number, zoom: number, name: string}} place - Place to show
+ * @returns {string} Map URL
+ */
+function buildMapUrl(template, place) {
+	return template
+		.replace(/\{lat\}/g, String(place.lat))
+		.replace(/\{lon\}/g, String(place.lon))
+		.replace(/\{zoom\}/g, String(place.zoom))
+		.replace(/\{name\}/g, encodeURIComponent(place.name || ""));
+}
+
+/**
+ * Shorten an author list for a subtitle ("Smith, Jones et al.").
+ * @param {string[]} authors - Author names
+ * @returns {string} Up to two authors, "et al." for more
+ */
+function formatAuthors(authors) {
+	if (!Array.isArray(authors)) return "";
+	const names = authors.filter((a) => typeof a === "string" && a.trim()).map((a) => a.trim());
+	if (names.length <= 2) return names.join(", ");
+	return `${names.slice(0, 2).join(", ")} et al.`;
+}
+
+/**
+ * Build the subtitle of a paper result: authors, year and journal.
+ * @param {object} result - SearXNG paper result
+ * @param {string} filterInfo - Active filter summary from formatFilterSubtitle
+ * @returns {string} Subtitle (e.g. "Vaswani, Shazeer et al. · 2017 · NeurIPS")
+ */
+function formatPaperSubtitle(result, filterInfo) {
+	const yearMatch = typeof result.publishedDate === "string" && result.publishedDate.match(/^(\d{4})/);
+	return [
+		formatAuthors(result.authors) || extractDomain(result.url),
+		yearMatch ? yearMatch[1] : "",
+		result.journal,
+		filterInfo,
+	]
+		.filter(Boolean)
+		.join(" · ");
+}
+
+/**
+ * Install commands by package registry domain.
+ * {name} is the package name, {url} the source code (or package) URL.
+ */
+const PACKAGE_INSTALL_COMMANDS = {
+	"npmjs.com": "npm install {name}",
+	"pypi.org": "pip install {name}",
+	"crates.io": "cargo add {name}",
+	"hub.docker.com": "docker pull {name}",
+	"rubygems.org": "gem install {name}",
+	"packagist.org": "composer require {name}",
+	"pkg.go.dev": "go get {name}",
+	"formulae.brew.sh": "brew install {name}",
+	"metacpan.org": "cpanm {name}",
+	"github.com": "git clone {url}",
+};
+
+/**
+ * Build the install command for a package result from its registry.
+ * @param {object} result - SearXNG package result
+ * @returns {string|null} Ready-to-paste command or null for unknown registries
+ */
+function packageInstallCommand(result) {
+	const domain = extractDomain(result.url).toLowerCase();
+	const registry = Object.keys(PACKAGE_INSTALL_COMMANDS).find(
+		(d) => domain === d || domain.endsWith(`.${d}`)
+	);
+	const name = result.package_name || result.title;
+	if (!registry || !name) return null;
+	return PACKAGE_INSTALL_COMMANDS[registry]
+		.replace("{name}", name.replace(/^library\//, ""))
+		.replace("{url}", result.source_code_url || result.url);
+}
+
+/**
+ * Build the subtitle of a package result: name@version and maintainer.
+ * @param {object} result - SearXNG package result
+ * @param {string} filterInfo - Active filter summary from formatFilterSubtitle
+ * @param {string} snippet - Truncated result content
+ * @returns {string} Subtitle (e.g. "left-pad@1.3.0 · stevemao")
+ */
+function formatPackageSubtitle(result, filterInfo, snippet) {
+	const name = result.package_name || extractDomain(result.url);
+	const nameVersion = result.version ? `${name}@${result.version}` : name;
+	return [nameVersion, result.maintainer, filterInfo, snippet].filter(Boolean).join(" · ");
+}
+
+/**
+ * Map engine names to their bang from the vocabulary ("duckduckgo" → "!ddg").
+ * When an engine has several bangs, the shortest wins.
+ * @param {object} engineBangs - Engine part of the bang vocabulary (bang → engine name)
+ * @returns {object} Engine name → bang
+ */
+function invertEngineBangs(engineBangs) {
+	const shortcuts = {};
+	for (const [bang, engine] of Object.entries(engineBangs)) {
+		if (!shortcuts[engine] || bang.length < shortcuts[engine].length) {
+			shortcuts[engine] = bang;
+		}
+	}
+	return shortcuts;
+}
+
+/**
+ * Summarize the engines and score of a result ("ddg+brave+wp · 3.2").
+ * Engines are shown by shortcut where one is known.
+ * @param {object} result - SearXNG result object
+ * @param {object} engineShortcuts - Engine name → bang, from invertEngineBangs
+ * @returns {string} Summary or empty string if the result has no engine info
+ */
+function formatEngineSummary(result, engineShortcuts) {
+	const engines = Array.isArray(result.engines) && result.engines.length > 0
+		? result.engines
+		: result.engine ? [result.engine] : [];
+	const parts = [];
+	if (engines.length > 0) {
+		parts.push(engines.map((e) => (engineShortcuts[e] || e).replace(/^!/, "")).join("+"));
+	}
+	if (typeof result.score === "number") {
+		parts.push(result.score.toFixed(1));
+	}
+	return parts.join(" · ");
+}
+
+/**
+ * Restrict a raw query to a single engine: other engine bangs and page
+ * bangs are dropped, the engine's bang is appended.
+ * @param {string} query - Raw query string, including bangs
+ * @param {string} bang - Engine bang to restrict to (e.g. "!wp")
+ * @param {object} engineBangs - Engine part of the bang vocabulary (bang → engine name)
+ * @returns {string} Query for the rerun (e.g. "rust !n !wp")
+ */
+function withEngineBang(query, bang, engineBangs) {
+	const tokens = query
+		.trim()
+		.split(/\s+/)
+		.filter(
+			(token) =>
+				token &&
+				!Object.prototype.hasOwnProperty.call(engineBangs, token.toLowerCase()) &&
+				!/^!p\d+$/i.test(token)
+		);
+	return [...tokens, bang].join(" ");
+}
+
+/**
+ * Restrict a raw query to one site: existing site: filters and page bangs
+ * are dropped, "site:<domain>" is appended. Bangs (category, time range, ...)
+ * and language modifiers are kept.
+ * @param {string} query - Raw query string, including bangs
+ * @param {string} domain - Site to search within
+ * @returns {string} Query for the rerun (e.g. "rust !n site:blog.rust-lang.org")
+ */
+function withSiteFilter(query, domain) {
+	const tokens = query
+		.trim()
+		.split(/\s+/)
+		.filter((token) => token && !/^site:/i.test(token) && !/^!p\d+$/i.test(token));
+	return [...tokens, `site:${domain}`].join(" ");
+}
+
+/**
+ * Build a "more like this" query from a result title, keeping the bangs and
+ * language modifiers of the raw query. Leading "!" and ":" are stripped from
+ * title words so they are not read as bangs or language modifiers.
+ * @param {string} query - Raw query string, including bangs
+ * @param {string} title - Result title
+ * @param {string[]} [languages] - Known language codes (see replaceQueryText)
+ * @returns {string} Query for the rerun, or empty string for an empty title
+ */
+function titleQuery(query, title, languages) {
+	const text = (title || "")
+		.split(/\s+/)
+		.map((word) => word.replace(/^[!:]+/, ""))
+		.filter(Boolean)
+		.join(" ");
+	return text ? replaceQueryText(query, text, languages) : "";
+}
+
+/**
+ * Query parameters that only track the click, never change the page.
+ */
+const TRACKING_PARAMS = [
+	/^utm_/i,
+	/^(fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|ttclid|igshid|mc_cid|mc_eid)$/i,
+	/^(_ga|_gl|_hsenc|_hsmi|mkt_tok|oly_anon_id|oly_enc_id|vero_id|wickedid)$/i,
+	/^(ref|ref_src|ref_url|referrer)$/i,
+];
+
+/**
+ * Check whether a query parameter name is a known tracking parameter.
+ * @param {string} name - Parameter name
+ * @returns {boolean}
+ */
+function isTrackingParam(name) {
+	return TRACKING_PARAMS.some((pattern) => pattern.test(name));
+}
+
+/**
+ * Check whether a domain matches a domain pattern.
+ * "example.com" matches only example.com (www. is ignored by extractDomain);
+ * "*.example.com" matches example.com and all of its subdomains.
+ * @param {string} domain - Domain from extractDomain
+ * @param {string} pattern - Domain pattern
+ * @returns {boolean}
+ */
+function domainMatches(domain, pattern) {
+	const host = domain.toLowerCase();
+	const p = pattern.trim().toLowerCase();
+	if (p.startsWith("*.")) {
+		const base = p.slice(2);
+		return host === base || host.endsWith(`.${base}`);
+	}
+	return host === p;
+}
+
+/**
+ * Built-in URL cleaning rules on top of TRACKING_PARAMS:
+ * `allow` keeps parameters a site needs, `strip` removes site-specific trackers.
+ */
+const BUILTIN_URL_RULES = [
+	{ pattern: "github.com", allow: ["ref"], strip: [] },
+	{ pattern: "*.youtube.com", allow: [], strip: ["si", "feature", "pp"] },
+	{ pattern: "youtu.be", allow: [], strip: ["si", "feature"] },
+	{ pattern: "*.spotify.com", allow: [], strip: ["si", "context"] },
+	{ pattern: "*.amazon.com", allow: [], strip: ["tag", "linkcode", "pd_rd_r", "pd_rd_w", "pf_rd_r", "pf_rd_p"] },
+];
+
+/**
+ * Parse user URL cleaning rules, one domain per line:
+ * "github.com: ref" keeps ref on github.com,
+ * "*.example.com: -sid" also strips sid there.
+ * Lines without a colon and "#" comments are ignored.
+ * @param {string} text - Rules from the workflow configuration
+ * @returns {{pattern: string, allow: string[], strip: string[]}[]} Parsed rules
+ */
+function parseUrlRules(text) {
+	const rules = [];
+	for (const line of (text || "").split(/\r?\n/)) {
+		const trimmed = line.trim();
+		const colon = trimmed.indexOf(":");
+		if (!trimmed || trimmed.startsWith("#") || colon < 1) continue;
+		const rule = { pattern: trimmed.slice(0, colon).trim(), allow: [], strip: [] };
+		for (const param of trimmed.slice(colon + 1).split(/[\s,]+/)) {
+			if (param.startsWith("-") && param.length > 1) {
+				rule.strip.push(param.slice(1).toLowerCase());
+			} else if (param && param !== "-") {
+				rule.allow.push(param.toLowerCase());
+			}
+		}
+		rules.push(rule);
+	}
+	return rules;
+}
+
+/**
+ * Remove tracking parameters from a URL.
+ * Drops TRACKING_PARAMS and parameters stripped by a matching rule, unless a
+ * matching rule allows them. Everything else, including the fragment, is kept.
+ * @param {string} url - URL to clean
+ * @param {{pattern: string, allow: string[], strip: string[]}[]} rules - URL cleaning rules
+ * @returns {string} Cleaned URL
+ */
+function cleanUrl(url, rules) {
+	const match = /^(https?:\/\/[^/?#]+[^?#]*)\?([^#]*)(#.*)?$/i.exec(url || "");
+	if (!match) return url;
+	const domain = extractDomain(url);
+	const matching = rules.filter((rule) => domainMatches(domain, rule.pattern));
+	const allowed = new Set(matching.flatMap((rule) => rule.allow));
+	const stripped = new Set(matching.flatMap((rule) => rule.strip));
+	const params = match[2].split("&").filter((param) => {
+		if (!param) return false;
+		const name = param.split("=")[0].toLowerCase();
+		if (allowed.has(name)) return true;
+		return !isTrackingParam(name) && !stripped.has(name);
+	});
+	const query = params.length > 0 ? `?${params.join("&")}` : "";
+	return `${match[1]}${query}${match[3] || ""}`;
+}
+
+/**
+ * Parse the front-end rewrite table, one rule per line:
+ * "*.youtube.com = https://yewtu.be" sends youtube.com links to that
+ * Invidious instance. "#" comments and malformed lines are ignored.
+ * @param {string} text - Rewrite table from the workflow configuration
+ * @returns {{pattern: string, target: string}[]} Parsed rules
+ */
+function parseFrontendRewrites(text) {
+	const rewrites = [];
+	for (const line of (text || "").split(/\r?\n/)) {
+		const trimmed = line.trim();
+		if (!trimmed || trimmed.startsWith("#")) continue;
+		const match = /^(\S+)\s*=\s*(https?:\/\/\S+)$/i.exec(trimmed);
+		if (!match) continue;
+		rewrites.push({ pattern: match[1].toLowerCase(), target: match[2].replace(/\/+$/, "") });
+	}
+	return rewrites;
+}
+
+/**
+ * Rewrite a URL to an alternative front-end, keeping path, query and fragment
+ * ("https://www.youtube.com/watch?v=x" → "https://yewtu.be/watch?v=x").
+ * The first rule whose pattern matches the domain wins.
+ * @param {string} url - Result URL
+ * @param {{pattern: string, target: string}[]} rewrites - Rules from parseFrontendRewrites
+ * @returns {string} Front-end URL, or the URL itself if no rule matches
+ */
+function rewriteFrontendUrl(url, rewrites) {
+	const match = /^https?:\/\/[^/?#]+(.*)$/i.exec(url || "");
+	if (!match || rewrites.length === 0) return url;
+	const domain = extractDomain(url);
+	const rewrite = rewrites.find((rule) => domainMatches(domain, rule.pattern));
+	return rewrite ? `${rewrite.target}${match[1]}` : url;
+}
+
+/**
+ * Reduce a URL to a key shared by near-identical variants of the same page:
+ * http/https, www/mobile/AMP hosts, AMP paths, trailing slashes, fragments,
+ * tracking parameters and parameter order are ignored.
+ * @param {string} url - Result URL
+ * @returns {string} Comparison key (not a usable URL)
+ */
+function normalizeResultUrl(url) {
+	const match = /^https?:\/\/([^/?#]+)([^?#]*)(?:\?([^#]*))?/i.exec(url || "");
+	if (!match) return url;
+	const host = match[1].toLowerCase().replace(/^(www|m|mobile|amp)\./, "");
+	const path = match[2].replace(/\/amp\/?$/i, "").replace(/\/+$/, "");
+	const params = (match[3] || "")
+		.split("&")
+		.filter((param) => {
+			const name = param.split("=")[0];
+			return name && !isTrackingParam(name) && !/^(amp|outputtype=amp)$/i.test(param);
+		})
+		.sort();
+	return params.length > 0 ? `${host}${path}?${params.join("&")}` : `${host}${path}`;
+}
+
+/**
+ * Merge results that point to the same page (see normalizeResultUrl).
+ * The merged result sits where the first variant was, takes title, snippet
+ * and URL from the best-scoring variant (preferring an https URL) and
+ * combines the engine lists.
+ * @param {object[]} results - SearXNG results in score order
+ * @returns {object[]} Deduplicated results
+ */
+function dedupeResults(results) {
+	const groups = new Map();
+	for (const result of results) {
+		if (!result || !result.url) continue;
+		const key = normalizeResultUrl(result.url);
+		if (!groups.has(key)) {
+			groups.set(key, []);
+		}
+		groups.get(key).push(result);
+	}
+
+	const merged = [];
+	for (const variants of groups.values()) {
+		if (variants.length === 1) {
+			merged.push(variants[0]);
+			continue;
+		}
+		const score = (r) => (typeof r.score === "number" ? r.score : 0);
+		const best = variants.reduce((a, b) => (score(b) > score(a) ? b : a));
+		const secure = variants.find((r) => /^https:/i.test(r.url));
+		const engines = [];
+		for (const variant of variants) {
+			const variantEngines = Array.isArray(variant.engines) ? variant.engines : [variant.engine];
+			for (const engine of variantEngines) {
+				if (engine && !engines.includes(engine)) engines.push(engine);
+			}
+		}
+		merged.push({
+			...best,
+			url: /^https:/i.test(best.url) || !secure ? best.url : secure.url,
+			title: best.title || (variants.find((r) => r.title) || {}).title,
+			content: best.content || (variants.find((r) => r.content) || {}).content,
+			engines,
+			score: Math.max(...variants.map(score)),
+		});
+	}
+	return merged;
+}
+
+/**
+ * Parse a domain list from the workflow configuration.
+ * Domains are separated by newlines, commas or spaces; "#" starts a comment.
+ * Patterns follow domainMatches ("example.com", "*.example.com").
+ * @param {string} text - Domain list
+ * @returns {string[]} Lowercase domain patterns
+ */
+function parseDomainList(text) {
+	return (text || "")
+		.split(/\r?\n/)
+		.flatMap((line) => line.replace(/#.*$/, "").split(/[\s,]+/))
+		.map((pattern) => pattern.trim().toLowerCase())
+		.filter(Boolean);
+}
+
+/**
+ * Check whether a URL's domain matches any pattern of a domain list.
+ * @param {string} url - Result URL
+ * @param {string[]} patterns - Patterns from parseDomainList
+ * @returns {boolean}
  */
-function shellEscape(str) {
-	return "'" + str.replace(/'/g, "'\\''") + "'";
+function isListedDomain(url, patterns) {
+	if (patterns.length === 0) return false;
+	const domain = extractDomain(url);
+	return patterns.some((pattern) => domainMatches(domain, pattern));
 }
 
 /**
- * Parse bang modifiers from query string.
- * Extracts category bangs (!i, !images, !n, !news, !v, !videos, !maps)
- * and time range bangs (!d, !m, !y) from anywhere in the query.
- * @param {string} query - Raw query string with potential bangs
- * @returns {{query: string, category: string|undefined, timeRange: string|undefined}}
+ * Apply the domain lists to results: blocked domains are removed, boosted
+ * domains move to the top and lowered domains to the bottom. Order within
+ * each group is kept; a domain on both lists counts as boosted.
+ * @param {object[]} results - SearXNG results in score order
+ * @param {{blocked: string[], lowered: string[], boosted: string[]}} lists - Domain lists
+ * @returns {object[]} New array without blocked results, reordered
  */
-function parseBangs(query) {
-	const categoryBangs = {
-		"!images": "images",
-		"!i": "images",
-		"!news": "news",
-		"!n": "news",
-		"!videos": "videos",
-		"!v": "videos",
-		"!maps": "maps",
-	};
-
-	const timeRangeBangs = {
-		"!d": "day",
-		"!w": "week",
-		"!m": "month",
-		"!y": "year",
-	};
-
-	let category;
-	let timeRange;
-	let cleanQuery = query;
-
-	// Helper to replace a bang, handling spacing correctly.
-	// The regex captures: (before)(bang)(after) where before/after are whitespace or boundaries.
-	// Three cases with intentionally asymmetric returns:
-	// 1. Bang at start (before is empty): remove bang entirely, no leading space needed
-	// 2. Bang at end (after is empty): preserve the leading space from 'before'
-	// 3. Bang between words: collapse to single space to avoid double-spacing
-	const replaceBang = (str, regex) => {
-		return str.replace(regex, (match, before, after) => {
-			if (before === "" || before === undefined) return ""; // Case 1: bang at start
-			if (after === "" || after === undefined) return before; // Case 2: bang at end
-			return " "; // Case 3: bang between words
-		});
-	};
-
-	// Extract category bangs (case-insensitive, word boundary)
-	// Keep replacing until no more matches (handles duplicates like "!i !i cats")
-	for (const [bang, value] of Object.entries(categoryBangs)) {
-		const regex = new RegExp(`(^|\\s)${bang}(\\s|$)`, "gi");
-		let newQuery = replaceBang(cleanQuery, regex);
-		while (newQuery !== cleanQuery) {
-			category = value;
-			cleanQuery = newQuery;
-			newQuery = replaceBang(cleanQuery, regex);
+function applyDomainLists(results, lists) {
+	const boosted = [];
+	const normal = [];
+	const lowered = [];
+	for (const result of results) {
+		if (isListedDomain(result.url, lists.blocked)) continue;
+		if (isListedDomain(result.url, lists.boosted)) {
+			boosted.push(result);
+		} else if (isListedDomain(result.url, lists.lowered)) {
+			lowered.push(result);
+		} else {
+			normal.push(result);
 		}
 	}
+	return [...boosted, ...normal, ...lowered];
+}
 
-	// Extract time range bangs (case-insensitive, word boundary)
-	for (const [bang, value] of Object.entries(timeRangeBangs)) {
-		const regex = new RegExp(`(^|\\s)${bang}(\\s|$)`, "gi");
-		let newQuery = replaceBang(cleanQuery, regex);
-		while (newQuery !== cleanQuery) {
-			timeRange = value;
-			cleanQuery = newQuery;
-			newQuery = replaceBang(cleanQuery, regex);
-		}
-	}
+/**
+ * Copy-as formats for ⌘⇧, keyed by the copy_format setting.
+ * Each takes the link title and URL (and the result, for citations)
+ * and escapes them for its syntax.
+ */
+const COPY_FORMATS = {
+	markdown: {
+		label: "Markdown link",
+		format: (title, url) => {
+			const text = title.replace(/([\\[\]])/g, "\\$1");
+			const href = url.replace(/ /g, "%20").replace(/\(/g, "%28").replace(/\)/g, "%29");
+			return `[${text}](${href})`;
+		},
+	},
+	html: {
+		label: "HTML link",
+		format: (title, url) => {
+			const escape = (text) =>
+				text
+					.replace(/&/g, "&amp;")
+					.replace(/</g, "&lt;")
+					.replace(/>/g, "&gt;")
+					.replace(/"/g, "&quot;");
+			return `<a href="${escape(url)}">${escape(title)}</a>`;
+		},
+	},
+	org: {
+		label: "Org link",
+		format: (title, url) => {
+			// Org has no escape for brackets in links: encode them in the URL, soften them in the title
+			const text = title.replace(/\[/g, "(").replace(/\]/g, ")");
+			const href = url.replace(/\[/g, "%5B").replace(/\]/g, "%5D");
+			return `[[${href}][${text}]]`;
+		},
+	},
+	citation: {
+		label: "citation",
+		format: (title, url, result, now = new Date()) => {
+			const published = parsePublishedDate(result && result.publishedDate);
+			const date = published
+				? formatTimestamp(published).slice(0, 10)
+				: `accessed ${formatTimestamp(now).slice(0, 10)}`;
+			const sentence = /[.!?]$/.test(title) ? title : `${title}.`;
+			return `${sentence} ${extractDomain(url)}, ${date}. ${url}`;
+		},
+	},
+};
 
-	// Collapse runs of 3+ spaces to 2, then trim
-	cleanQuery = cleanQuery.replace(/\s{3,}/g, "  ").trim();
+/**
+ * Format a result link in one of the COPY_FORMATS.
+ * @param {string} format - Key of COPY_FORMATS; unknown keys fall back to Markdown
+ * @param {string} title - Link title
+ * @param {string} url - Link URL
+ * @param {object} [result] - SearXNG result (for the citation date)
+ * @param {Date} [now=new Date()] - Access date for undated citations
+ * @returns {{label: string, text: string}} Format label and formatted link
+ */
+function formatCopyAs(format, title, url, result, now = new Date()) {
+	const copyFormat = COPY_FORMATS[format] || COPY_FORMATS.markdown;
+	const text = (title || url).replace(/\s+/g, " ").trim();
+	return { label: copyFormat.label, text: copyFormat.format(text, url, result, now) };
+}
+
+/**
+ * Fill an archive URL template.
+ * Placeholders: {url} (as is, as the Wayback Machine and archive.today expect)
+ * and {url_encoded} (URL-encoded, for query parameters, e.g. ArchiveBox).
+ * @param {string} template - Archive URL template
+ * @param {string} url - Page URL
+ * @returns {string} Archive URL
+ */
+function buildArchiveUrl(template, url) {
+	return template
+		.replace(/\{url_encoded\}/g, encodeURIComponent(url))
+		.replace(/\{url\}/g, url);
+}
 
+/**
+ * Build an archive modifier for a result.
+ * @param {string} template - Archive URL template (empty to disable)
+ * @param {string} url - Page URL
+ * @param {string} subtitle - Modifier subtitle; "{archive}" is replaced by the archive's domain
+ * @returns {object} Alfred modifier
+ */
+function archiveMod(template, url, subtitle) {
+	if (!template) {
+		return { valid: false, subtitle: "No archive URL configured" };
+	}
 	return {
-		query: cleanQuery,
-		category,
-		timeRange,
+		arg: buildArchiveUrl(template, url),
+		subtitle: subtitle.replace("{archive}", extractDomain(template)),
 	};
 }
 
+/**
+ * Replace any page bang in the raw query with one for the given page.
+ * @param {string} query - Raw query string, including bangs
+ * @param {number} page - Page number to request (capped at MAX_RESULT_PAGE)
+ * @returns {string} Query ending in the page bang (e.g. "rust !n !p2")
+ */
+function withPageBang(query, page) {
+	const withoutPage = query.replace(/(^|\s)!p\d+(?=\s|$)/gi, "").trim();
+	const bang = `!p${Math.min(page, MAX_RESULT_PAGE)}`;
+	return withoutPage ? `${withoutPage} ${bang}` : bang;
+}
+
 /**
  * Parse SearXNG autocomplete response.
  * Response format: ["query", ["suggestion1", "suggestion2", ...]]
@@ -227,17 +1401,32 @@ function parseAutocompleteResponse(responseData) {
 
 /**
  * Convert an autocomplete suggestion to an Alfred item.
+ * When refining, Enter swaps the suggestion into the query (keeping its bangs)
+ * and shows inline results, ⌥ opens the search in the browser instead.
+ * Otherwise Enter opens the browser and Tab completes the suggestion.
  * @param {string} suggestion - Suggestion text
  * @param {string} searxngUrl - Base SearXNG URL
- * @param {string|null} category - Inherited category from bangs
- * @param {string|null} timeRange - Inherited time range from bangs
+ * @param {object} filters - Inherited filters from parseBangs
+ * @param {string} [rawQuery] - Raw query string, including bangs
+ * @param {boolean} [refine=false] - Enter refines inline results
+ * @param {string[]} [languages] - Known language codes (see replaceQueryText)
  * @returns {object} Alfred item
  */
-function suggestionToAlfredItem(suggestion, searxngUrl, category, timeRange) {
+function suggestionToAlfredItem(suggestion, searxngUrl, filters, rawQuery, refine = false, languages) {
+	const { categories, timeRange, engines, language } = filters;
+	const hasCategories = categories && categories.length > 0;
+	const hasEngines = engines && engines.length > 0;
+
 	// Build contextual subtitle
 	let subtitle = "Search";
-	if (category) {
-		subtitle += ` ${category}`;
+	if (hasCategories) {
+		subtitle += ` ${categories.join(", ")}`;
+	}
+	if (hasEngines) {
+		subtitle += ` via ${engines.join(", ")}`;
+	}
+	if (language) {
+		subtitle += ` in :${language}`;
 	}
 	if (timeRange) {
 		const timeLabels = { day: "past day", week: "past week", month: "past month", year: "past year" };
@@ -245,32 +1434,45 @@ function suggestionToAlfredItem(suggestion, searxngUrl, category, timeRange) {
 	}
 	subtitle += " for this suggestion";
 
-	// Build search URL for the suggestion
-	let searchUrl = `${searxngUrl}/search?q=${encodeURIComponent(suggestion)}`;
-	if (category) {
-		searchUrl += `&categories=${encodeURIComponent(category)}`;
-	}
-	if (timeRange) {
-		searchUrl += `&time_range=${encodeURIComponent(timeRange)}`;
-	}
+	const browserUrl = buildSearchUrl(searxngUrl, suggestion, filters);
+	const item = refine
+		? {
+				title: suggestion,
+				subtitle: subtitle,
+				autocomplete: replaceQueryText(rawQuery || "", suggestion, languages),
+				valid: false,
+				icon: { path: "icon.png" },
+				mods: {
+					alt: { arg: browserUrl, subtitle: "⌥: Open in SearXNG web interface", valid: true },
+				},
+			}
+		: {
+				title: suggestion,
+				subtitle: subtitle,
+				arg: browserUrl,
+				autocomplete: suggestion,
+				valid: true,
+				icon: { path: "icon.png" },
+			};
 
-	const item = {
-		title: suggestion,
-		subtitle: subtitle,
-		arg: searchUrl,
-		autocomplete: suggestion,
-		valid: true,
+	return item;
+}
+
+/**
+ * Convert a bang picker match to an Alfred item.
+ * Tab (or Enter) completes the bang into the query, keeping the text typed before it.
+ * @param {{bang: string, description: string}} match - Match from matchBangs
+ * @param {string} queryPrefix - Query text before the partial bang
+ * @returns {object} Alfred item
+ */
+function bangToAlfredItem(match, queryPrefix) {
+	return {
+		title: match.bang,
+		subtitle: match.description,
+		autocomplete: `${queryPrefix}${match.bang} `,
+		valid: false,
 		icon: { path: "icon.png" },
 	};
-
-	// Pass bang context as variables for potential rerun
-	if (category || timeRange) {
-		item.variables = {};
-		if (category) item.variables.category = category;
-		if (timeRange) item.variables.timeRange = timeRange;
-	}
-
-	return item;
 }
 
 /**
@@ -305,10 +1507,14 @@ function shouldShowExactQueryItem(query, suggestions) {
  * @param {string} query - Search query
  * @param {string} searxngUrl - Base SearXNG URL
  * @param {number} timeoutSecs - Timeout in seconds
+ * @param {string} [language] - Search language for localized suggestions
  * @returns {string[]} Array of suggestions or empty array on error
  */
-function fetchAutocomplete(query, searxngUrl, timeoutSecs) {
-	const autocompleteUrl = `${searxngUrl}/autocompleter?q=${encodeURIComponent(query)}`;
+function fetchAutocomplete(query, searxngUrl, timeoutSecs, language) {
+	let autocompleteUrl = `${searxngUrl}/autocompleter?q=${encodeURIComponent(query)}`;
+	if (language) {
+		autocompleteUrl += `&language=${encodeURIComponent(language)}`;
+	}
 	const response = httpGet(autocompleteUrl, Math.min(timeoutSecs, 2)); // Max 2s for autocomplete
 
 	if (!response.success || !response.data) {
@@ -498,6 +1704,41 @@ function buildFaviconProxyUrl(searxngUrl, secretKey, domain) {
 	return `${searxngUrl}/favicon_proxy?authority=${encodeURIComponent(domain)}&h=${hmac}`;
 }
 
+/**
+ * Download a URL to a file, removing the file again if nothing usable arrived.
+ * @param {string} url - URL to download
+ * @param {string} path - Destination file path
+ * @returns {boolean} True if the file was written and has content
+ */
+function downloadToFile(url, path) {
+	try {
+		// --silent: No progress output
+		// --location: Follow redirects
+		// --max-time 1: 1 second timeout (keep UI responsive)
+		// --output: Save directly to file
+		const curlCmd = `curl --silent --location --max-time 1 --output ${shellEscape(path)} -- ${shellEscape(url)}`;
+		app.doShellScript(curlCmd);
+
+		// Verify file was created and has content
+		const fileSize = app.doShellScript(`stat -f%z ${shellEscape(path)} 2>/dev/null || echo 0`);
+		if (Number.parseInt(fileSize, 10) > 0) {
+			return true;
+		}
+
+		// Empty file - delete it
+		app.doShellScript(`rm -f ${shellEscape(path)}`);
+		return false;
+	} catch {
+		// curl failed - clean up any partial file
+		try {
+			app.doShellScript(`rm -f ${shellEscape(path)}`);
+		} catch {
+			/* ignore cleanup errors */
+		}
+		return false;
+	}
+}
+
 /**
  * Fetch favicon from SearXNG's native favicon proxy and save to cache.
  * Uses the user's own SearXNG instance for privacy-preserving favicon retrieval.
@@ -516,70 +1757,376 @@ function fetchFavicon(domain, searxngUrl, secretKey) {
 		return null;
 	}
 
+	return downloadToFile(faviconUrl, faviconPath) ? faviconPath : null;
+}
+
+/**
+ * Get favicon path for a domain, fetching and caching if needed.
+ * Requires secret_key to be configured for SearXNG favicon proxy access.
+ * @param {string} domain - Domain name (e.g., "github.com")
+ * @param {string} searxngUrl - Base SearXNG URL
+ * @param {string} secretKey - SearXNG server secret key
+ * @returns {string} Path to favicon (cached, fetched, or generic fallback)
+ */
+function getFaviconPath(domain, searxngUrl, secretKey) {
+	// If no secret key configured, favicons are disabled
+	if (!secretKey) {
+		return "icon.png";
+	}
+
+	// Check cache first
+	const cached = getCachedFavicon(domain);
+	if (cached) {
+		return cached;
+	}
+
+	// Limit new fetches to keep search responsive
+	if (faviconFetchesThisSearch >= MAX_FAVICON_FETCHES_PER_SEARCH) {
+		return "icon.png";
+	}
+
+	faviconFetchesThisSearch++;
+
+	// Try to fetch and cache via SearXNG's favicon proxy
+	const fetched = fetchFavicon(domain, searxngUrl, secretKey);
+	if (fetched) {
+		return fetched;
+	}
+
+	// Fallback to generic icon
+	return "icon.png";
+}
+
+// ============================================================================
+// IMAGE CACHING
+// ============================================================================
+
+// Track image downloads per search to limit network requests
+let imageFetchesThisSearch = 0;
+const MAX_IMAGE_FETCHES_PER_SEARCH = 10;
+
+// Track Quick Look proxy URLs per search; each costs an openssl call for its HMAC
+let imagePreviewsThisSearch = 0;
+const MAX_IMAGE_PREVIEWS_PER_SEARCH = 10;
+
+let cachedImageDir = null;
+
+/**
+ * Get the remote image cache directory path.
+ * Creates the directory if it doesn't exist. Memoized for performance.
+ * Version-scoped like the favicon cache, so it starts over on workflow updates.
+ * @returns {string} Absolute path to images directory
+ */
+function getImageCacheDir() {
+	if (cachedImageDir) {
+		return cachedImageDir;
+	}
+
+	const version = getEnv("alfred_workflow_version", "0.0.0");
+	const imageDir = `${getWorkflowDataDir()}/images_v${version}`;
+	app.doShellScript(`mkdir -p ${shellEscape(imageDir)}`);
+
+	cachedImageDir = imageDir;
+	return imageDir;
+}
+
+/**
+ * Hash a string into a short hex key (FNV-1a, 32 bit).
+ * Used to derive cache filenames from image URLs.
+ * @param {string} str - String to hash
+ * @returns {string} 8-character hex hash
+ */
+function hashString(str) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < str.length; i++) {
+		hash ^= str.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Normalize an image URL from a SearXNG response.
+ * Engines sometimes return protocol-relative URLs ("//upload.wikimedia.org/...").
+ * @param {string} imageUrl - Image URL as returned by SearXNG
+ * @returns {string|null} Absolute http(s) URL or null if unusable
+ */
+function normalizeImageUrl(imageUrl) {
+	if (typeof imageUrl !== "string") return null;
+	const url = imageUrl.trim();
+	if (url.startsWith("//")) return `https:${url}`;
+	return /^https?:\/\//i.test(url) ? url : null;
+}
+
+/**
+ * Build SearXNG image proxy URL with HMAC authentication.
+ * @param {string} searxngUrl - Base SearXNG URL
+ * @param {string} secretKey - SearXNG server secret key
+ * @param {string} imageUrl - Absolute image URL
+ * @returns {string|null} Image proxy URL or null if HMAC fails
+ */
+function buildImageProxyUrl(searxngUrl, secretKey, imageUrl) {
+	const hmac = computeHmac(secretKey, imageUrl);
+	if (!hmac) {
+		return null;
+	}
+	return `${searxngUrl}/image_proxy?url=${encodeURIComponent(imageUrl)}&h=${hmac}`;
+}
+
+/**
+ * Get a local copy of a remote image, downloading and caching it if needed.
+ * Images are only fetched through SearXNG's image proxy; like favicons,
+ * they are disabled when no secret_key is configured.
+ * @param {string} imageUrl - Image URL as returned by SearXNG
+ * @param {string} searxngUrl - Base SearXNG URL
+ * @param {string} secretKey - SearXNG server secret key
+ * @returns {string|null} Path to cached image or null if unavailable
+ */
+function getImagePath(imageUrl, searxngUrl, secretKey) {
+	const url = normalizeImageUrl(imageUrl);
+	if (!url || !secretKey) {
+		return null;
+	}
+
+	// Keep the image's extension so Alfred recognizes the file type
+	const extMatch = url.match(/\.(png|jpe?g|gif|webp|svg)(?:[?#]|$)/i);
+	const ext = extMatch ? extMatch[1].toLowerCase() : "png";
+	const imagePath = `${getImageCacheDir()}/${hashString(url)}.${ext}`;
+	if (fileExists(imagePath)) {
+		return imagePath;
+	}
+
+	// Limit new fetches to keep search responsive
+	if (imageFetchesThisSearch >= MAX_IMAGE_FETCHES_PER_SEARCH) {
+		return null;
+	}
+	imageFetchesThisSearch++;
+
+	const downloadUrl = buildImageProxyUrl(searxngUrl, secretKey, url);
+	if (!downloadUrl) {
+		return null;
+	}
+	return downloadToFile(downloadUrl, imagePath) ? imagePath : null;
+}
+
+// ============================================================================
+// INSTANCE DISCOVERY
+// ============================================================================
+
+// How long the bang vocabulary from /config is trusted before refetching
+const INSTANCE_CONFIG_TTL_SECONDS = 24 * 60 * 60;
+
+// How soon /config is retried after a failed fetch
+const INSTANCE_CONFIG_RETRY_SECONDS = 5 * 60;
+
+/**
+ * Read and parse a JSON file.
+ * @param {string} path - File path to read
+ * @returns {*} Parsed JSON or null if missing or invalid
+ */
+function readJsonFile(path) {
+	try {
+		const contents = $.NSString.stringWithContentsOfFileEncodingError(path, $.NSUTF8StringEncoding, null);
+		if (contents.isNil()) {
+			return null;
+		}
+		return JSON.parse(contents.js);
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Write a value as JSON, replacing the file atomically.
+ * @param {string} path - File path to write
+ * @param {*} data - JSON-serializable value
+ * @returns {boolean} True if the file was written
+ */
+function writeJsonFile(path, data) {
 	try {
-		// Download favicon with curl
-		// --silent: No progress output
-		// --location: Follow redirects
-		// --max-time 1: 1 second timeout (keep UI responsive)
-		// --output: Save directly to file
-		const curlCmd = `curl --silent --location --max-time 1 --output ${shellEscape(faviconPath)} -- ${shellEscape(faviconUrl)}`;
-		app.doShellScript(curlCmd);
+		return $(JSON.stringify(data)).writeToFileAtomicallyEncodingError(path, true, $.NSUTF8StringEncoding, null);
+	} catch {
+		return false;
+	}
+}
 
-		// Verify file was created and has content
-		const fileSize = app.doShellScript(`stat -f%z ${shellEscape(faviconPath)} 2>/dev/null || echo 0`);
-		if (Number.parseInt(fileSize, 10) > 0) {
-			return faviconPath;
+/**
+ * Build the bang vocabulary from a SearXNG /config response.
+ * Every category becomes a bang (spaces as underscores, e.g. !social_media) and every
+ * enabled engine with a shortcut becomes an engine bang. Built-in category aliases
+ * (!i, !n, !v, !maps) are kept when the instance offers the category they point to.
+ * Engine shortcuts never shadow category, time range or safe search bangs.
+ * The known :xx languages are BUILTIN_LANGUAGES plus the base language of each instance locale.
+ * @param {object|null} instanceConfig - Parsed /config response
+ * @returns {{categories: object, timeRanges: object, safeSearch: object, sortOrders: object, engines: object, languages: string[]}} Bang vocabulary
+ */
+function buildBangVocabulary(instanceConfig) {
+	if (
+		!instanceConfig ||
+		!Array.isArray(instanceConfig.categories) ||
+		!Array.isArray(instanceConfig.engines)
+	) {
+		return BUILTIN_BANGS;
+	}
+
+	const categories = {};
+	for (const name of instanceConfig.categories) {
+		if (typeof name !== "string" || !name) continue;
+		categories[`!${name.toLowerCase().replace(/\s+/g, "_")}`] = name;
+	}
+
+	// Keep the familiar aliases, tolerating plural/singular drift (!maps → "map")
+	for (const [bang, name] of Object.entries(BUILTIN_BANGS.categories)) {
+		const offered = instanceConfig.categories.find((c) => c === name || `${c}s` === name);
+		if (offered && !categories[bang]) {
+			categories[bang] = offered;
 		}
+	}
+
+	const timeRanges = BUILTIN_BANGS.timeRanges;
+	const safeSearch = BUILTIN_BANGS.safeSearch;
+	const sortOrders = BUILTIN_BANGS.sortOrders;
+
+	const engines = {};
+	for (const engine of instanceConfig.engines) {
+		if (!engine || !engine.name || !engine.shortcut || engine.enabled === false) continue;
+		const bang = `!${String(engine.shortcut).toLowerCase()}`;
+		if (categories[bang] || timeRanges[bang] || bang in safeSearch || sortOrders[bang] || engines[bang]) continue;
+		engines[bang] = engine.name;
+	}
 
-		// Empty file - delete it and return null
-		app.doShellScript(`rm -f ${shellEscape(faviconPath)}`);
-		return null;
-	} catch {
-		// curl failed - clean up any partial file
-		try {
-			app.doShellScript(`rm -f ${shellEscape(faviconPath)}`);
-		} catch {
-			/* ignore cleanup errors */
+	// Locales are interface translations, many only with a region (zh-Hant-TW), so they
+	// add their base languages to the built-in ones instead of replacing them
+	const languages = [...BUILTIN_LANGUAGES];
+	if (instanceConfig.locales && typeof instanceConfig.locales === "object") {
+		for (const code of Object.keys(instanceConfig.locales)) {
+			const base = code.split("-")[0].toLowerCase();
+			if (base && !languages.includes(base)) {
+				languages.push(base);
+			}
 		}
-		return null;
 	}
+
+	return { categories, timeRanges, safeSearch, sortOrders, engines, languages };
 }
 
 /**
- * Get favicon path for a domain, fetching and caching if needed.
- * Requires secret_key to be configured for SearXNG favicon proxy access.
- * @param {string} domain - Domain name (e.g., "github.com")
+ * Get the bang vocabulary for the instance, cached under the workflow data directory.
+ * Only the vocabulary derived from /config (see buildBangVocabulary) is cached, not the
+ * raw response, so keystrokes read a small file instead of parsing the full /config.
+ * Refetches after INSTANCE_CONFIG_TTL_SECONDS or when the SearXNG URL or workflow version
+ * changes (the version, because an update may derive the vocabulary differently). After a
+ * failed fetch it retries after INSTANCE_CONFIG_RETRY_SECONDS, keeping the previous
+ * vocabulary (or BUILTIN_BANGS) meanwhile, so a briefly unreachable instance doesn't
+ * leave the built-in bangs in place for a whole day.
  * @param {string} searxngUrl - Base SearXNG URL
- * @param {string} secretKey - SearXNG server secret key
- * @returns {string} Path to favicon (cached, fetched, or generic fallback)
+ * @param {number} timeoutSecs - Timeout in seconds
+ * @returns {{categories: object, timeRanges: object, safeSearch: object, sortOrders: object, engines: object, languages: string[]}} Bang vocabulary
  */
-function getFaviconPath(domain, searxngUrl, secretKey) {
-	// If no secret key configured, favicons are disabled
-	if (!secretKey) {
-		return "icon.png";
-	}
+function loadBangVocabulary(searxngUrl, timeoutSecs) {
+	const cachePath = `${getWorkflowDataDir()}/bang_vocabulary.json`;
+	const cached = readJsonFile(cachePath);
+	const version = getEnv("alfred_workflow_version", "0.0.0");
+	const now = Date.now();
 
-	// Check cache first
-	const cached = getCachedFavicon(domain);
-	if (cached) {
-		return cached;
+	const sameInstance = cached && cached.url === searxngUrl && cached.version === version;
+	const ttlSeconds = sameInstance && cached.failed ? INSTANCE_CONFIG_RETRY_SECONDS : INSTANCE_CONFIG_TTL_SECONDS;
+	if (sameInstance && now - cached.fetchedAt < ttlSeconds * 1000) {
+		return cached.bangs || BUILTIN_BANGS;
 	}
 
-	// Limit new fetches to keep search responsive
-	if (faviconFetchesThisSearch >= MAX_FAVICON_FETCHES_PER_SEARCH) {
-		return "icon.png";
+	let config = null;
+	const response = httpGet(`${searxngUrl}/config`, Math.min(timeoutSecs, 2)); // Max 2s, like autocomplete
+	if (response.success && response.data) {
+		try {
+			const parsed = JSON.parse(response.data);
+			if (parsed && Array.isArray(parsed.categories) && Array.isArray(parsed.engines)) {
+				config = parsed;
+			}
+		} catch {
+			/* not JSON (e.g. HTML error page) - keep previous vocabulary */
+		}
 	}
 
-	faviconFetchesThisSearch++;
+	const failed = !config;
+	const bangs = failed ? (sameInstance && cached.bangs) || null : buildBangVocabulary(config);
+	writeJsonFile(cachePath, { url: searxngUrl, version: version, fetchedAt: now, failed: failed, bangs: bangs });
+	return bangs || BUILTIN_BANGS;
+}
 
-	// Try to fetch and cache via SearXNG's favicon proxy
-	const fetched = fetchFavicon(domain, searxngUrl, secretKey);
-	if (fetched) {
-		return fetched;
-	}
+// ============================================================================
+// RESULT PAGES
+// ============================================================================
 
-	// Fallback to generic icon
-	return "icon.png";
+// How long loaded pages are reused when the next page is requested
+const RESULT_PAGES_TTL_SECONDS = 10 * 60;
+
+/**
+ * Get the path of the result page cache.
+ * Holds the pages of the most recent search so "!p2" can append to page 1.
+ * @returns {string} Absolute path to the result page cache file
+ */
+function getResultPagesPath() {
+	return `${getWorkflowDataDir()}/result_pages.json`;
+}
+
+/**
+ * Store the results of one page of a search.
+ * Pages of a different (or expired) search are discarded.
+ * @param {string} searchUrl - JSON search URL without pageno (identifies the search)
+ * @param {number} page - Page number
+ * @param {object[]} results - Results of that page
+ */
+function savePageResults(searchUrl, page, results) {
+	const path = getResultPagesPath();
+	const cached = readJsonFile(path);
+	const now = Date.now();
+	const reusable =
+		cached && cached.searchUrl === searchUrl && now - cached.savedAt < RESULT_PAGES_TTL_SECONDS * 1000;
+	const pages = reusable ? cached.pages : {};
+	pages[page] = results;
+	writeJsonFile(path, { searchUrl: searchUrl, savedAt: now, pages: pages });
+}
+
+/**
+ * Load the results of all pages before the requested one.
+ * Uses the result page cache where possible and fetches (and caches) missing pages,
+ * e.g. when "!p3" is typed directly. All fetches share one timeout, so "!p10" can't
+ * take nine; loading stops at the first page that fails or once that time is up.
+ * @param {string} searchUrl - JSON search URL without pageno
+ * @param {number} page - Requested page number
+ * @param {number} timeoutSecs - Timeout in seconds, for all missing pages together
+ * @returns {object[][]} Result arrays for pages 1 to page - 1, fewer if loading stopped early
+ */
+function loadEarlierPages(searchUrl, page, timeoutSecs) {
+	const cached = readJsonFile(getResultPagesPath());
+	const fresh =
+		cached &&
+		cached.searchUrl === searchUrl &&
+		Date.now() - cached.savedAt < RESULT_PAGES_TTL_SECONDS * 1000;
+
+	const deadline = Date.now() + timeoutSecs * 1000;
+	const earlier = [];
+	for (let p = 1; p < page; p++) {
+		if (fresh && Array.isArray(cached.pages[p])) {
+			earlier.push(cached.pages[p]);
+			continue;
+		}
+		const remainingSecs = Math.ceil((deadline - Date.now()) / 1000);
+		if (remainingSecs <= 0) break;
+
+		const response = httpGet(`${searchUrl}&pageno=${p}`, remainingSecs);
+		if (!response.success || !response.data) break;
+		let results;
+		try {
+			results = JSON.parse(response.data).results || [];
+		} catch {
+			break; // invalid page (e.g. HTML error page)
+		}
+		savePageResults(searchUrl, p, results);
+		earlier.push(results);
+	}
+	return earlier;
 }
 
 // ============================================================================
@@ -588,19 +2135,32 @@ function getFaviconPath(domain, searxngUrl, secretKey) {
 
 /**
  * Format active filters for display in subtitle.
- * @param {string|null} category - Active category filter
- * @param {string|null} timeRange - Active time range filter
+ * @param {object} filters - Active filters from parseBangs
  * @returns {string} Formatted filter string or empty string
  */
-function formatFilterSubtitle(category, timeRange) {
+function formatFilterSubtitle(filters) {
+	const { categories, timeRange, safeSearch, sort, engines, language } = filters;
 	const parts = [];
-	if (category) {
-		parts.push(category.charAt(0).toUpperCase() + category.slice(1));
+	if (categories && categories.length > 0) {
+		parts.push(categories.map((c) => c.charAt(0).toUpperCase() + c.slice(1)).join(", "));
 	}
 	if (timeRange) {
 		const timeLabels = { day: "Past day", week: "Past week", month: "Past month", year: "Past year" };
 		parts.push(timeLabels[timeRange] || timeRange);
 	}
+	if (typeof safeSearch === "number") {
+		const safeSearchLabels = ["Safe search off", "Safe search moderate", "Safe search strict"];
+		parts.push(safeSearchLabels[safeSearch]);
+	}
+	if (sort === "date") {
+		parts.push("Newest first");
+	}
+	if (engines && engines.length > 0) {
+		parts.push(`via ${engines.join(", ")}`);
+	}
+	if (language) {
+		parts.push(`:${language}`);
+	}
 	return parts.join(" · ");
 }
 
@@ -659,50 +2219,71 @@ function errorItem(title, subtitle, arg, details) {
  * allowing users to search their exact input instead of a suggestion.
  * @param {string} query - Search query
  * @param {string} searxngUrl - SearXNG base URL
- * @param {string|null} category - Active category filter
- * @param {string|null} timeRange - Active time range filter
+ * @param {object} filters - Active filters from parseBangs
  * @returns {object} Alfred item
  */
-function exactQueryItem(query, searxngUrl, category, timeRange) {
-	let searchUrl = `${searxngUrl}/search?q=${encodeURIComponent(query)}`;
-	if (category) {
-		searchUrl += `&categories=${encodeURIComponent(category)}`;
-	}
-	if (timeRange) {
-		searchUrl += `&time_range=${encodeURIComponent(timeRange)}`;
-	}
-	const filterInfo = formatFilterSubtitle(category, timeRange);
+function exactQueryItem(query, searxngUrl, filters) {
+	const filterInfo = formatFilterSubtitle(filters);
 	return {
 		title: `Seek "${query}"`,
 		subtitle: filterInfo || "Search SearXNG",
-		arg: searchUrl,
+		arg: buildSearchUrl(searxngUrl, query, filters),
 		icon: { path: "icon.png" },
 		valid: true,
 	};
 }
 
+/**
+ * Create a "Did you mean" item for a spelling correction.
+ * Enter (or Tab) reruns the search inline with the corrected text,
+ * keeping the query's bangs.
+ * @param {string} correction - Corrected search text
+ * @param {string} query - Raw query string, including bangs
+ * @param {string[]} [languages] - Known language codes (see replaceQueryText)
+ * @returns {object} Alfred item
+ */
+function correctionItem(correction, query, languages) {
+	return {
+		title: `Did you mean: ${correction}`,
+		subtitle: "Search for the corrected query",
+		autocomplete: replaceQueryText(query, correction, languages),
+		valid: false,
+		icon: { path: "icon.png" },
+	};
+}
+
 /**
  * Create the fallback "search in browser" item.
  * @param {string} query - Search query
  * @param {string} searxngUrl - SearXNG base URL
- * @param {string|null} category - Active category filter
- * @param {string|null} timeRange - Active time range filter
+ * @param {object} filters - Active filters from parseBangs
  * @returns {object} Alfred item
  */
-function fallbackItem(query, searxngUrl, category, timeRange) {
-	let searchUrl = `${searxngUrl}/search?q=${encodeURIComponent(query)}`;
-	if (category) {
-		searchUrl += `&categories=${encodeURIComponent(category)}`;
-	}
-	if (timeRange) {
-		searchUrl += `&time_range=${encodeURIComponent(timeRange)}`;
-	}
-	const filterInfo = formatFilterSubtitle(category, timeRange);
+function fallbackItem(query, searxngUrl, filters) {
+	const filterInfo = formatFilterSubtitle(filters);
 	const subtitle = filterInfo ? `Open SearXNG web interface · ${filterInfo}` : "Open SearXNG web interface";
 	return {
 		title: `Search "${query}" in browser`,
 		subtitle: subtitle,
-		arg: searchUrl,
+		arg: buildSearchUrl(searxngUrl, query, filters),
+		icon: { path: "icon.png" },
+	};
+}
+
+/**
+ * Create the "more results" item.
+ * Enter (or Tab) reruns the search with a page bang for the next page,
+ * which appends that page below the results already shown.
+ * @param {string} query - Raw query string, including bangs
+ * @param {number} nextPage - Page to load
+ * @returns {object} Alfred item
+ */
+function moreResultsItem(query, nextPage) {
+	return {
+		title: `More results (page ${nextPage})`,
+		subtitle: "Append the next page of results",
+		autocomplete: withPageBang(query, nextPage),
+		valid: false,
 		icon: { path: "icon.png" },
 	};
 }
@@ -737,20 +2318,357 @@ function buildResponse(items, cacheSeconds) {
 	return response;
 }
 
+/**
+ * Create an instant-answer item.
+ * Enter copies the answer, Large Type shows it in full and ⌘ opens its source.
+ * @param {{text: string, url: string|null}} answer - Answer from parseAnswers
+ * @param {string} searchUrl - SearXNG web UI URL for this search
+ * @returns {object} Alfred item
+ */
+function answerToAlfredItem(answer, searchUrl) {
+	const subtitleParts = ["Instant answer"];
+	if (answer.url) {
+		subtitleParts.push(extractDomain(answer.url));
+	}
+	subtitleParts.push("⏎ to copy");
+
+	return {
+		title: truncate(answer.text.replace(/\s+/g, " "), 120),
+		subtitle: subtitleParts.join(" · "),
+		arg: answer.text,
+		icon: { path: "icon.png" },
+		text: {
+			copy: answer.text,
+			largetype: answer.text,
+		},
+		variables: { action: "copy" },
+		mods: {
+			cmd: answer.url
+				? { arg: answer.url, subtitle: "⌘: Open source", variables: { action: "open" } }
+				: { valid: false, subtitle: "No source for this answer" },
+			alt: {
+				arg: searchUrl,
+				subtitle: "⌥: View in SearXNG",
+				variables: { action: "open" },
+			},
+		},
+	};
+}
+
+/**
+ * Create a headline item for an infobox (Wikipedia/Wikidata panel).
+ * Enter opens the main article, ⌘ the official website and ⌃ Wikidata;
+ * Large Type shows the description and all attributes.
+ * @param {object} infobox - SearXNG infobox
+ * @param {string} searchUrl - SearXNG web UI URL for this search
+ * @param {string|null} iconPath - Cached infobox image, if any
+ * @returns {object} Alfred item
+ */
+function infoboxToAlfredItem(infobox, searchUrl, iconPath) {
+	const urls = pickInfoboxUrls(infobox);
+	const content = (infobox.content || "").replace(/\s+/g, " ").trim();
+	const subtitle = content ? truncate(content, 100) : "Infobox";
+	const linkMod = (url, label, missing) =>
+		url ? { arg: url, subtitle: label } : { valid: false, subtitle: missing };
+
+	return {
+		title: infobox.infobox,
+		subtitle: subtitle,
+		arg: urls.primary || searchUrl,
+		icon: { path: iconPath || "icon.png" },
+		quicklookurl: urls.primary || searchUrl,
+		text: {
+			copy: urls.primary || infobox.infobox,
+			largetype: formatInfoboxLargeType(infobox),
+		},
+		mods: {
+			cmd: linkMod(urls.official, "⌘: Open official website", "No official website"),
+			alt: {
+				arg: searchUrl,
+				subtitle: "⌥: View in SearXNG",
+			},
+			ctrl: linkMod(urls.wikidata, "⌃: Open Wikidata", "No Wikidata entry"),
+		},
+	};
+}
+
+/**
+ * Render an image result: thumbnail as icon, full image in Quick Look,
+ * resolution and source in the subtitle. Enter still opens the hosting page.
+ * @param {object} item - Alfred item built by resultToAlfredItem (modified in place)
+ * @param {object} result - SearXNG image result
+ * @param {string} filterInfo - Active filter summary from formatFilterSubtitle
+ * @param {string} searxngUrl - SearXNG base URL
+ * @param {string} secretKey - SearXNG server secret key (for the image proxy)
+ */
+function applyImageResult(item, result, filterInfo, searxngUrl, secretKey) {
+	item.subtitle = formatImageSubtitle(result, filterInfo);
+
+	const thumbnail = getImagePath(result.thumbnail_src || result.img_src, searxngUrl, secretKey);
+	if (thumbnail) {
+		item.icon = { path: thumbnail };
+	}
+
+	// Quick Look previews the full image through the image proxy, for the first few
+	// results; the others, and all results without a secret key, preview the hosting page
+	const fullImage = normalizeImageUrl(result.img_src);
+	if (fullImage) {
+		if (secretKey && imagePreviewsThisSearch < MAX_IMAGE_PREVIEWS_PER_SEARCH) {
+			imagePreviewsThisSearch++;
+			const preview = buildImageProxyUrl(searxngUrl, secretKey, fullImage);
+			if (preview) {
+				item.quicklookurl = preview;
+			}
+		}
+		item.text.largetype = `${item.text.largetype}\n\n${fullImage}`;
+	}
+}
+
+/**
+ * Render a video result: length, channel and age in the subtitle,
+ * thumbnail as icon, and ⌘ copying the URL without a start timestamp.
+ * @param {object} item - Alfred item built by resultToAlfredItem (modified in place)
+ * @param {object} result - SearXNG video result
+ * @param {string} filterInfo - Active filter summary from formatFilterSubtitle
+ * @param {string} searxngUrl - SearXNG base URL
+ * @param {string} secretKey - SearXNG server secret key (for the image proxy)
+ */
+function applyVideoResult(item, result, filterInfo, searxngUrl, secretKey) {
+	item.subtitle = formatVideoSubtitle(result, filterInfo);
+
+	const thumbnail = getImagePath(result.thumbnail || result.thumbnail_src, searxngUrl, secretKey);
+	if (thumbnail) {
+		item.icon = { path: thumbnail };
+	}
+
+	const canonicalUrl = canonicalVideoUrl(item.arg);
+	item.text.copy = canonicalUrl;
+	item.mods.cmd = {
+		arg: canonicalUrl,
+		subtitle: "⌘: Copy video URL without timestamp",
+		variables: { action: "copy" },
+	};
+}
+
+/**
+ * Render a news result: relative age after the domain in the subtitle,
+ * full publish timestamp in Large Type.
+ * @param {object} item - Alfred item built by resultToAlfredItem (modified in place)
+ * @param {object} result - SearXNG news result
+ * @param {string} domain - Result domain
+ * @param {string} filterInfo - Active filter summary from formatFilterSubtitle
+ * @param {string} snippet - Truncated result content
+ */
+function applyNewsResult(item, result, domain, filterInfo, snippet) {
+	const published = parsePublishedDate(result.publishedDate);
+	if (!published) return;
+
+	item.subtitle = [domain, formatRelativeTime(published), filterInfo, snippet]
+		.filter(Boolean)
+		.join(" · ");
+	item.text.largetype = `${item.text.largetype}\n\nPublished ${formatTimestamp(published)}`;
+}
+
+/**
+ * Render a map result: address in the subtitle, ⌃ opening the place in the
+ * configured map service and ⌘ copying its coordinates.
+ * @param {object} item - Alfred item built by resultToAlfredItem (modified in place)
+ * @param {object} result - SearXNG map result
+ * @param {string} domain - Result domain
+ * @param {string} filterInfo - Active filter summary from formatFilterSubtitle
+ */
+function applyMapResult(item, result, domain, filterInfo) {
+	const address = formatAddress(result.address);
+	item.subtitle = [address || domain, filterInfo].filter(Boolean).join(" · ");
+
+	const lat = Number(result.latitude);
+	const lon = Number(result.longitude);
+	const hasCoordinates =
+		result.latitude != null && result.longitude != null && Number.isFinite(lat) && Number.isFinite(lon);
+	const coordinates = hasCoordinates ? `${lat},${lon}` : "";
+	item.text.largetype = [item.title, address, coordinates, item.arg].filter(Boolean).join("\n\n");
+	if (!hasCoordinates) return;
+
+	item.mods.cmd = {
+		arg: coordinates,
+		subtitle: `⌘: Copy coordinates (${coordinates})`,
+		variables: { action: "copy" },
+	};
+	item.mods.ctrl = {
+		arg: buildMapUrl(CONFIG.mapUrlTemplate, {
+			lat,
+			lon,
+			zoom: mapZoom(result.boundingbox),
+			name: item.title,
+		}),
+		subtitle: "⌃: Open in Maps",
+	};
+}
+
+/**
+ * Render a paper result: authors, year and journal in the subtitle,
+ * ⌃ opening the PDF and ⌘ copying the DOI.
+ * @param {object} item - Alfred item built by resultToAlfredItem (modified in place)
+ * @param {object} result - SearXNG paper result
+ * @param {string} filterInfo - Active filter summary from formatFilterSubtitle
+ */
+function applyPaperResult(item, result, filterInfo) {
+	item.subtitle = formatPaperSubtitle(result, filterInfo);
+
+	const details = [];
+	if (Array.isArray(result.authors) && result.authors.length > 0) {
+		details.push(result.authors.join(", "));
+	}
+	if (result.journal) {
+		details.push(result.journal);
+	}
+	if (result.doi) {
+		details.push(`DOI ${result.doi}`);
+	}
+	item.text.largetype = [item.title, details.join("\n"), result.content, item.arg].filter(Boolean).join("\n\n");
+
+	if (result.doi) {
+		item.mods.cmd = {
+			arg: result.doi,
+			subtitle: `⌘: Copy DOI (${result.doi})`,
+			variables: { action: "copy" },
+		};
+	}
+	item.mods.ctrl = result.pdf_url
+		? { arg: result.pdf_url, subtitle: "⌃: Open PDF" }
+		: { valid: false, subtitle: "No PDF available" };
+}
+
+/**
+ * Render a package result: name@version and maintainer in the subtitle,
+ * ⌘ copying the install command, ⌃ opening the source code and ⌥⌃ the homepage.
+ * @param {object} item - Alfred item built by resultToAlfredItem (modified in place)
+ * @param {object} result - SearXNG package result
+ * @param {string} filterInfo - Active filter summary from formatFilterSubtitle
+ * @param {string} snippet - Truncated result content
+ */
+function applyPackageResult(item, result, filterInfo, snippet) {
+	item.subtitle = formatPackageSubtitle(result, filterInfo, snippet);
+
+	const details = [];
+	if (result.license_name) {
+		details.push(`License: ${result.license_name}`);
+	}
+	if (Array.isArray(result.tags) && result.tags.length > 0) {
+		details.push(`Tags: ${result.tags.join(", ")}`);
+	}
+	if (result.popularity) {
+		details.push(`Popularity: ${result.popularity}`);
+	}
+	const installCommand = packageInstallCommand(result);
+	if (installCommand) {
+		details.push(installCommand);
+	}
+	item.text.largetype = [item.title, result.content, details.join("\n"), item.arg]
+		.filter(Boolean)
+		.join("\n\n");
+
+	if (installCommand) {
+		item.mods.cmd = {
+			arg: installCommand,
+			subtitle: `⌘: Copy "${installCommand}"`,
+			variables: { action: "copy" },
+		};
+	}
+	item.mods.ctrl = result.source_code_url
+		? { arg: result.source_code_url, subtitle: "⌃: Open source code" }
+		: { valid: false, subtitle: "No source code link" };
+	item.mods["alt+ctrl"] = result.homepage
+		? { arg: result.homepage, subtitle: "⌥⌃: Open homepage" }
+		: { valid: false, subtitle: "No homepage link" };
+}
+
+/**
+ * Add engine details to a result item: the engine breakdown in Large Type,
+ * the engine summary in the subtitle when show_engines is on, and ⌘⌥
+ * rerunning the query restricted to the result's primary engine.
+ * @param {object} item - Alfred item built by resultToAlfredItem (modified in place)
+ * @param {object} result - SearXNG result object
+ * @param {string} rawQuery - Raw query string, including bangs
+ * @param {object} engineBangs - Engine part of the bang vocabulary (bang → engine name)
+ * @param {object} engineShortcuts - Engine name → bang, from invertEngineBangs
+ */
+function addEngineDetails(item, result, rawQuery, engineBangs, engineShortcuts) {
+	const engines = Array.isArray(result.engines) ? result.engines : [];
+	const breakdown = [];
+	if (engines.length > 0) {
+		breakdown.push(`Engines: ${engines.join(", ")}`);
+	}
+	if (result.engine) {
+		breakdown.push(`Primary engine: ${result.engine}`);
+	}
+	if (typeof result.score === "number") {
+		breakdown.push(`Score: ${result.score.toFixed(2)}`);
+	}
+	if (result.category) {
+		breakdown.push(`Category: ${result.category}`);
+	}
+	if (breakdown.length > 0) {
+		item.text.largetype = `${item.text.largetype}\n\n${breakdown.join("\n")}`;
+	}
+
+	const summary = formatEngineSummary(result, engineShortcuts);
+	if (CONFIG.showEngines && summary) {
+		item.subtitle = `${summary} · ${item.subtitle}`;
+	}
+
+	const bang = result.engine && engineShortcuts[result.engine];
+	item.mods["cmd+alt"] = bang
+		? {
+				arg: withEngineBang(rawQuery, bang, engineBangs),
+				subtitle: `⌘⌥: Search again with ${result.engine} only`,
+				variables: { action: "rerun" },
+			}
+		: { valid: false, subtitle: "No shortcut for this engine" };
+}
+
+/**
+ * Add refinement reruns to a result item: ⌥⇧ searches again within the
+ * result's site, ⌘⌃ searches for its title. Both keep the query's bangs.
+ * @param {object} item - Alfred item built by resultToAlfredItem (modified in place)
+ * @param {object} result - SearXNG result object
+ * @param {string} rawQuery - Raw query string, including bangs
+ * @param {string[]} [languages] - Known language codes (see replaceQueryText)
+ */
+function addRefineActions(item, result, rawQuery, languages) {
+	const domain = extractDomain(result.url);
+	item.mods["alt+shift"] = domain
+		? {
+				arg: withSiteFilter(rawQuery, domain),
+				subtitle: `⌥⇧: Search again within ${domain}`,
+				variables: { action: "rerun" },
+			}
+		: { valid: false, subtitle: "No site to search within" };
+
+	const moreLikeThis = titleQuery(rawQuery, result.title, languages);
+	item.mods["cmd+ctrl"] = moreLikeThis
+		? {
+				arg: moreLikeThis,
+				subtitle: "⌘⌃: Search for pages like this one",
+				variables: { action: "rerun" },
+			}
+		: { valid: false, subtitle: "No title to search for" };
+}
+
 /**
  * Transform a SearXNG result into an Alfred item.
  * @param {object} result - SearXNG result object
  * @param {string} query - Original search query
  * @param {string} searxngUrl - SearXNG base URL
  * @param {string} secretKey - SearXNG server secret key (for favicons)
- * @param {string|null} category - Active category filter
- * @param {string|null} timeRange - Active time range filter
+ * @param {object} filters - Active filters from parseBangs
  * @returns {object} Alfred item
  */
-function resultToAlfredItem(result, query, searxngUrl, secretKey, category, timeRange) {
+function resultToAlfredItem(result, query, searxngUrl, secretKey, filters) {
 	const domain = extractDomain(result.url);
+	const url = cleanUrl(result.url, [...BUILTIN_URL_RULES, ...CONFIG.urlRules]);
 	const snippet = truncate(result.content || "", 80);
-	const filterInfo = formatFilterSubtitle(category, timeRange);
+	const filterInfo = formatFilterSubtitle(filters);
 	const subtitleParts = [domain];
 	if (filterInfo) {
 		subtitleParts.push(filterInfo);
@@ -759,44 +2677,102 @@ function resultToAlfredItem(result, query, searxngUrl, secretKey, category, time
 		subtitleParts.push(snippet);
 	}
 	const subtitle = subtitleParts.join(" · ");
-
-	let searchUrl = `${searxngUrl}/search?q=${encodeURIComponent(query)}`;
-	if (category) {
-		searchUrl += `&categories=${encodeURIComponent(category)}`;
-	}
-	if (timeRange) {
-		searchUrl += `&time_range=${encodeURIComponent(timeRange)}`;
-	}
-
-	// Get favicon for this domain (requires secret_key for SearXNG proxy)
-	const iconPath = getFaviconPath(domain, searxngUrl, secretKey);
+	const searchUrl = buildSearchUrl(searxngUrl, query, filters);
 
 	// Build largetype with full context: title, content (untruncated), and URL
-	const largetypeParts = [result.title || result.url];
+	const largetypeParts = [result.title || url];
 	if (result.content) {
 		largetypeParts.push(result.content);
 	}
-	largetypeParts.push(result.url);
+	largetypeParts.push(url);
 	const largetype = largetypeParts.join("\n\n");
 
-	return {
-		title: result.title || result.url,
+	const item = {
+		title: result.title || url,
 		subtitle: subtitle,
-		arg: result.url,
-		icon: { path: iconPath },
-		quicklookurl: result.url,
+		arg: url,
+		quicklookurl: url,
 		match: alfredMatcher(result.title) + " " + alfredMatcher(snippet),
 		text: {
-			copy: result.url,
+			copy: url,
 			largetype: largetype,
 		},
 		mods: {
+			cmd: {
+				arg: url,
+				subtitle: "⌘: Copy URL",
+				variables: { action: "copy" },
+			},
 			alt: {
 				arg: searchUrl,
 				subtitle: "⌥: View in SearXNG",
 			},
+			shift: {
+				arg: result.url,
+				subtitle:
+					url === result.url
+						? "⇧: Open original URL"
+						: "⇧: Open original URL (with tracking parameters)",
+			},
+			fn: archiveMod(CONFIG.archiveUrls.latest, url, "fn: Open latest snapshot on {archive}"),
+			"ctrl+shift": archiveMod(
+				CONFIG.archiveUrls.alternate,
+				url,
+				"⌃⇧: Open archived copy on {archive}"
+			),
+			"cmd+ctrl+shift": archiveMod(
+				CONFIG.archiveUrls.save,
+				url,
+				"⌘⌃⇧: Save a fresh copy on {archive}"
+			),
+			// For pages that cleaning or a front-end rewrite breaks
+			"cmd+alt+shift": {
+				arg: result.url,
+				subtitle: "⌘⌥⇧: Open unmodified URL",
+			},
 		},
 	};
+
+	// Richer rendering for result types with their own fields
+	const type = getResultType(result);
+	if (type === "images") {
+		applyImageResult(item, result, filterInfo, searxngUrl, secretKey);
+	} else if (type === "videos") {
+		applyVideoResult(item, result, filterInfo, searxngUrl, secretKey);
+	} else if (type === "news") {
+		applyNewsResult(item, result, domain, filterInfo, snippet);
+	} else if (type === "map") {
+		applyMapResult(item, result, domain, filterInfo);
+	} else if (type === "paper") {
+		applyPaperResult(item, result, filterInfo);
+	} else if (type === "packages") {
+		applyPackageResult(item, result, filterInfo, snippet);
+	}
+
+	// Favicon for this domain (requires secret_key for SearXNG proxy), unless the
+	// result type already shows a thumbnail
+	if (!item.icon) {
+		item.icon = { path: getFaviconPath(domain, searxngUrl, secretKey) };
+	}
+
+	const copyAs = formatCopyAs(CONFIG.copyFormat, result.title, item.arg, result);
+	item.mods["cmd+shift"] = {
+		arg: copyAs.text,
+		subtitle: `⌘⇧: Copy as ${copyAs.label}`,
+		variables: { action: "copy" },
+	};
+
+	// Open (and preview) through a privacy front-end; copying keeps the original.
+	// ⇧ then opens the cleaned original, ⌘⌥⇧ still the unmodified URL.
+	const frontendUrl = rewriteFrontendUrl(item.arg, CONFIG.frontendRewrites);
+	if (frontendUrl !== item.arg) {
+		if (item.quicklookurl === item.arg) {
+			item.quicklookurl = frontendUrl;
+		}
+		item.mods.shift = { arg: item.arg, subtitle: `⇧: Open original URL on ${domain}` };
+		item.arg = frontendUrl;
+	}
+	return item;
 }
 
 // ============================================================================
@@ -809,8 +2785,10 @@ function resultToAlfredItem(result, query, searxngUrl, secretKey, category, time
  * @returns {object} Alfred response object
  */
 function search(query) {
-	// Reset favicon fetch counter for this search
+	// Reset favicon and image fetch counters for this search
 	faviconFetchesThisSearch = 0;
+	imageFetchesThisSearch = 0;
+	imagePreviewsThisSearch = 0;
 
 	// Remove trailing slash from URL if present
 	const searxngUrl = CONFIG.searxngUrl.replace(/\/+$/, "");
@@ -844,59 +2822,75 @@ function search(query) {
 		};
 	}
 
-	// Parse bangs from query
-	const parsed = parseBangs(query.trim());
+	const timeoutSecs = Math.ceil(timeoutMs / 1000);
+
+	// Parse bangs from query, using the instance's own categories and engine shortcuts
+	const bangs = loadBangVocabulary(searxngUrl, timeoutSecs);
+
+	// Bang picker: the last word is an unfinished bang (e.g. "!" or "!ne")
+	const partialBang = getPartialBang(query);
+	if (partialBang) {
+		const matches = matchBangs(partialBang.partial, bangs);
+		const isComplete = matches.some((m) => m.bang === partialBang.partial.toLowerCase());
+		if (matches.length > 0 && !isComplete) {
+			return buildResponse(matches.map((m) => bangToAlfredItem(m, partialBang.prefix)));
+		}
+	}
+
+	const parsed = parseBangs(query.trim(), bangs);
 	const cleanQuery = parsed.query;
 
+	// Fall back to the workflow's defaults when no modifier overrides them
+	if (!parsed.language && CONFIG.defaultLanguage) {
+		parsed.language = CONFIG.defaultLanguage;
+	}
+	if (parsed.safeSearch === undefined && CONFIG.safeSearch !== undefined) {
+		parsed.safeSearch = CONFIG.safeSearch;
+	}
+
 	// Guard: Empty query after bang extraction
 	if (!cleanQuery) {
 		return {
 			items: [
 				{
 					title: "Search SearXNG...",
-					subtitle: formatFilterSubtitle(parsed.category, parsed.timeRange) || "Type a query to search",
+					subtitle: formatFilterSubtitle(parsed) || "Type a query to search",
 					valid: false,
 				},
 			],
 		};
 	}
 
-	const timeoutSecs = Math.ceil(timeoutMs / 1000);
-
 	// Fetch autocomplete suggestions (always, for any query length)
 	// Limited to 5 results by parseAutocompleteResponse for performance
-	const suggestions = fetchAutocomplete(cleanQuery, searxngUrl, timeoutSecs);
+	const suggestions = fetchAutocomplete(cleanQuery, searxngUrl, timeoutSecs, parsed.language);
 	const suggestionItems = suggestions.map((s) =>
-		suggestionToAlfredItem(s, searxngUrl, parsed.category, parsed.timeRange)
+		suggestionToAlfredItem(s, searxngUrl, parsed, query, CONFIG.refineSuggestions, bangs.languages)
 	);
 
-	// Short queries: return autocomplete only for speed
-	if (!shouldShowFullResults(cleanQuery)) {
+	// Short queries: return autocomplete only for speed, unless a page bang asks for results
+	if (!parsed.page && !shouldShowFullResults(cleanQuery)) {
 		const items = [];
 		// Add "search for exact query" option at top when suggestions differ from query
 		if (shouldShowExactQueryItem(cleanQuery, suggestions)) {
-			items.push(exactQueryItem(cleanQuery, searxngUrl, parsed.category, parsed.timeRange));
+			items.push(exactQueryItem(cleanQuery, searxngUrl, parsed));
 		}
 		items.push(...suggestionItems);
 		// Add fallback if no suggestions
 		if (items.length === 0) {
-			items.push(fallbackItem(cleanQuery, searxngUrl, parsed.category, parsed.timeRange));
+			items.push(fallbackItem(cleanQuery, searxngUrl, parsed));
 		}
 		return buildResponse(items, 30);
 	}
 
 	// Longer queries: fetch full results too
-	// Build search URL with optional category and time_range
-	let searchUrl = `${searxngUrl}/search?q=${encodeURIComponent(cleanQuery)}&format=json`;
-	if (parsed.category) {
-		searchUrl += `&categories=${encodeURIComponent(parsed.category)}`;
-	}
-	if (parsed.timeRange) {
-		searchUrl += `&time_range=${encodeURIComponent(parsed.timeRange)}`;
-	}
+	// Build search URL with optional categories, time_range, engines and language
+	const searchUrl = `${buildSearchUrl(searxngUrl, cleanQuery, parsed)}&format=json`;
 
-	// Perform HTTP request
-	const response = httpGet(searchUrl, timeoutSecs);
+	// Perform HTTP request for the requested page (SearXNG defaults to page 1)
+	const page = parsed.page || 1;
+	const pageUrl = page > 1 ? `${searchUrl}&pageno=${page}` : searchUrl;
+	const response = httpGet(pageUrl, timeoutSecs);
 
 	// Guard: Network error
 	if (!response.success) {
@@ -908,7 +2902,7 @@ function search(query) {
 					searxngUrl,
 					{ query: cleanQuery, url: searxngUrl }
 				),
-				fallbackItem(cleanQuery, searxngUrl, parsed.category, parsed.timeRange),
+				fallbackItem(cleanQuery, searxngUrl, parsed),
 			],
 		};
 	}
@@ -923,7 +2917,7 @@ function search(query) {
 					`${searxngUrl}/search?q=${encodeURIComponent(cleanQuery)}`,
 					{ query: cleanQuery, url: searchUrl }
 				),
-				fallbackItem(cleanQuery, searxngUrl, parsed.category, parsed.timeRange),
+				fallbackItem(cleanQuery, searxngUrl, parsed),
 			],
 		};
 	}
@@ -943,7 +2937,7 @@ function search(query) {
 						"https://docs.searxng.org/admin/settings/settings_search.html#settings-search",
 						{ query: cleanQuery, url: searxngUrl, hint: "Response was HTML, not JSON" }
 					),
-					fallbackItem(cleanQuery, searxngUrl, parsed.category, parsed.timeRange),
+					fallbackItem(cleanQuery, searxngUrl, parsed),
 				],
 			};
 		}
@@ -955,7 +2949,7 @@ function search(query) {
 					searxngUrl,
 					{ query: cleanQuery, url: searxngUrl }
 				),
-				fallbackItem(cleanQuery, searxngUrl, parsed.category, parsed.timeRange),
+				fallbackItem(cleanQuery, searxngUrl, parsed),
 			],
 		};
 	}
@@ -964,28 +2958,66 @@ function search(query) {
 	if (data.error) {
 		return {
 			items: [
-				errorItem("❌ API Error", data.error, searchUrl, { query: cleanQuery, url: searchUrl }),
-				fallbackItem(cleanQuery, searxngUrl, parsed.category, parsed.timeRange),
+				errorItem("❌ API Error", data.error, searchUrl, { query: cleanQuery, url: pageUrl }),
+				fallbackItem(cleanQuery, searxngUrl, parsed),
 			],
 		};
 	}
 
+	// Pagination: earlier pages first, results already shown on them are dropped
+	const pageResults = data.results || [];
+	let results = pageResults;
+	let hasMore = pageResults.length > 0;
+	if (page > 1) {
+		const earlierPages = loadEarlierPages(searchUrl, page, timeoutSecs);
+		const earlierCount = mergeResultPages(earlierPages).length;
+		results = mergeResultPages([...earlierPages, pageResults]);
+		hasMore = results.length > earlierCount;
+	}
+	savePageResults(searchUrl, page, pageResults);
+	results = applyDomainLists(dedupeResults(results), CONFIG.domainLists);
+	if (parsed.sort === "date") {
+		results = sortResultsByDate(results);
+	}
+
+	// Instant answers (calculations, conversions, ...) go above everything else
+	const webSearchUrl = buildSearchUrl(searxngUrl, cleanQuery, parsed);
+	const answerItems = parseAnswers(data.answers).map((answer) =>
+		answerToAlfredItem(answer, webSearchUrl)
+	);
+
+	// Infoboxes (Wikipedia/Wikidata panels) follow the answers
+	const infoboxItems = (data.infoboxes || [])
+		.filter((infobox) => infobox && infobox.infobox)
+		.map((infobox) =>
+			infoboxToAlfredItem(infobox, webSearchUrl, getImagePath(infobox.img_src, searxngUrl, secretKey))
+		);
+
+	// Spelling correction and related searches from the search response itself
+	const correctionItems = pickAlternativeQueries(data.corrections, cleanQuery, [], 1).map((c) =>
+		correctionItem(c, query.trim(), bangs.languages)
+	);
+	const relatedItems = pickAlternativeQueries(data.suggestions, cleanQuery, suggestions).map((s) =>
+		suggestionToAlfredItem(s, searxngUrl, parsed, query, CONFIG.refineSuggestions, bangs.languages)
+	);
+
 	// Guard: No results
-	if (!data.results || data.results.length === 0) {
-		const filterInfo = formatFilterSubtitle(parsed.category, parsed.timeRange);
+	if (results.length === 0 && answerItems.length === 0 && infoboxItems.length === 0) {
+		const filterInfo = formatFilterSubtitle(parsed);
 		const noResultsSubtitle = filterInfo
 			? `Try different keywords · ${filterInfo}`
 			: "Try different keywords";
-		// Return suggestions if available, otherwise show no results error
-		if (suggestionItems.length > 0) {
+		// Offer the correction first, then suggestions if available, otherwise show no results error
+		const alternatives = [...correctionItems, ...suggestionItems, ...relatedItems];
+		if (alternatives.length > 0) {
 			return buildResponse([
-				...suggestionItems,
+				...alternatives,
 				separatorItem("No Results"),
 				errorItem(
 					"🔍 No results found",
 					noResultsSubtitle,
 					`${searxngUrl}/search?q=${encodeURIComponent(cleanQuery)}`,
-					{ query: cleanQuery, category: parsed.category, timeRange: parsed.timeRange }
+					{ query: cleanQuery, categories: parsed.categories.join(", "), timeRange: parsed.timeRange }
 				),
 			], 60);
 		}
@@ -994,30 +3026,60 @@ function search(query) {
 				"🔍 No results found",
 				noResultsSubtitle,
 				`${searxngUrl}/search?q=${encodeURIComponent(cleanQuery)}`,
-				{ query: cleanQuery, category: parsed.category, timeRange: parsed.timeRange }
+				{ query: cleanQuery, categories: parsed.categories.join(", "), timeRange: parsed.timeRange }
 			),
 		], 60);
 	}
 
 	// Transform results to Alfred items
-	const resultItems = data.results.map((result) =>
-		resultToAlfredItem(result, cleanQuery, searxngUrl, secretKey, parsed.category, parsed.timeRange)
-	);
+	const engineShortcuts = invertEngineBangs(bangs.engines);
+	const toResultItem = (result) => {
+		const item = resultToAlfredItem(result, cleanQuery, searxngUrl, secretKey, parsed);
+		addEngineDetails(item, result, query, bangs.engines, engineShortcuts);
+		addRefineActions(item, result, query, bangs.languages);
+		if (isListedDomain(result.url, CONFIG.domainLists.boosted)) {
+			item.subtitle = `★ ${item.subtitle}`;
+		}
+		return item;
+	};
 
-	// Combine: exact query option, then suggestions, then separator, then results
-	const items = [];
-	// Add "search for exact query" option at top when suggestions differ from query
+	// Combine: instant answers and infoboxes, correction, exact query option, then suggestions,
+	// then separator, then results, then related searches
+	const items = [...answerItems, ...infoboxItems, ...correctionItems];
+	// Add "search for exact query" option when suggestions differ from query
 	if (shouldShowExactQueryItem(cleanQuery, suggestions)) {
-		items.push(exactQueryItem(cleanQuery, searxngUrl, parsed.category, parsed.timeRange));
+		items.push(exactQueryItem(cleanQuery, searxngUrl, parsed));
 	}
-	if (suggestionItems.length > 0) {
+	if (parsed.categories.length > 1) {
+		// Several categories: one separator per category instead of a single "Results"
 		items.push(...suggestionItems);
-		items.push(separatorItem("Results"));
+		for (const group of groupResultsByCategory(results, parsed.categories)) {
+			const label = group.category.charAt(0).toUpperCase() + group.category.slice(1);
+			items.push(separatorItem(label));
+			items.push(...group.results.map(toResultItem));
+		}
+	} else {
+		if (suggestionItems.length > 0) {
+			items.push(...suggestionItems);
+			if (results.length > 0) {
+				items.push(separatorItem("Results"));
+			}
+		}
+		items.push(...results.map(toResultItem));
+	}
+
+	// Offer the next page while the current one still added results
+	if (hasMore && page < MAX_RESULT_PAGE) {
+		items.push(moreResultsItem(query.trim(), page + 1));
+	}
+
+	if (relatedItems.length > 0) {
+		items.push(separatorItem("Related searches"));
+		items.push(...relatedItems);
 	}
-	items.push(...resultItems);
 
 	// Add fallback item at the end
-	items.push(fallbackItem(cleanQuery, searxngUrl, parsed.category, parsed.timeRange));
+	items.push(fallbackItem(cleanQuery, searxngUrl, parsed));
 
 	return buildResponse(items, 60);
 }
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for corrections and related searches
+ * Run with: node tests/alternative-queries.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract, extractConst } = require("./extract");
+
+// Extract pickAlternativeQueries function
+// eslint-disable-next-line no-eval
+const pickAlternativeQueries = eval(
+	`(${extract("function pickAlternativeQueries(candidates, query, exclude = [], limit = 5)")})`
+);
+
+// Language helpers (dependencies of replaceQueryText)
+// eslint-disable-next-line no-eval
+const { BUILTIN_LANGUAGES, isKnownLanguage, parseLanguage } = eval(`(() => {
+	${extractConst("BUILTIN_LANGUAGES")}
+	${extract("function isKnownLanguage(code, languages)")}
+	${extract("function parseLanguage(value)")}
+	return { BUILTIN_LANGUAGES, isKnownLanguage, parseLanguage };
+})()`);
+
+// Extract replaceQueryText function
+// eslint-disable-next-line no-eval
+const replaceQueryText = eval(`(${extract("function replaceQueryText(query, text, languages = BUILTIN_LANGUAGES)")})`);
+
+// Extract correctionItem function (uses replaceQueryText)
+// eslint-disable-next-line no-eval
+const correctionItem = eval(`(${extract("function correctionItem(correction, query, languages)")})`);
+
+describe("pickAlternativeQueries", () => {
+	it("returns empty array for missing candidates", () => {
+		assert.deepStrictEqual(pickAlternativeQueries(undefined, "rust"), []);
+		assert.deepStrictEqual(pickAlternativeQueries(null, "rust"), []);
+	});
+
+	it("drops the query itself, case-insensitively", () => {
+		assert.deepStrictEqual(pickAlternativeQueries(["Rust", "rust lang"], "rust"), ["rust lang"]);
+	});
+
+	it("drops excluded queries and duplicates", () => {
+		assert.deepStrictEqual(
+			pickAlternativeQueries(["rust book", "rust lang", "Rust Lang", "rust game"], "rust", ["rust book"]),
+			["rust lang", "rust game"]
+		);
+	});
+
+	it("skips blanks and non-strings", () => {
+		assert.deepStrictEqual(pickAlternativeQueries(["", "  ", null, 3, " rust lang "], "rust"), ["rust lang"]);
+	});
+
+	it("respects the limit", () => {
+		assert.deepStrictEqual(pickAlternativeQueries(["a", "b", "c"], "rust", [], 1), ["a"]);
+		assert.strictEqual(pickAlternativeQueries(["a", "b", "c", "d", "e", "f"], "rust").length, 5);
+	});
+});
+
+describe("replaceQueryText", () => {
+	it("replaces plain query text", () => {
+		assert.strictEqual(replaceQueryText("rsut", "rust"), "rust");
+	});
+
+	it("keeps bangs and language modifiers", () => {
+		assert.strictEqual(replaceQueryText("!n rsut lang :de !w", "rust lang"), "rust lang !n :de !w");
+	});
+
+	it("drops page bangs", () => {
+		assert.strictEqual(replaceQueryText("rsut !p3 !i", "rust"), "rust !i");
+	});
+
+	it("treats unknown colon codes as search text", () => {
+		assert.strictEqual(replaceQueryText("vim :wq sav :de", "vim :wq save"), "vim :wq save :de");
+		assert.strictEqual(replaceQueryText("regex :not selctor", "regex :not selector"), "regex :not selector");
+	});
+
+	it("only keeps the given languages", () => {
+		assert.strictEqual(replaceQueryText("fondue :de :fr", "fondue", ["fr"]), "fondue :fr");
+	});
+});
+
+describe("correctionItem", () => {
+	it("reruns the corrected query inline", () => {
+		const item = correctionItem("rust", "rsut !n");
+		assert.strictEqual(item.title, "Did you mean: rust");
+		assert.strictEqual(item.autocomplete, "rust !n");
+		assert.strictEqual(item.valid, false);
+	});
+});
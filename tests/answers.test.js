@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for instant answer helpers
+ * Run with: node tests/answers.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// Extract parseAnswers function
+// eslint-disable-next-line no-eval
+const parseAnswers = eval(`(${extract("function parseAnswers(answers)")})`);
+
+// Extract answerToAlfredItem and the helpers it uses
+// eslint-disable-next-line no-eval
+const answerToAlfredItem = eval(
+	`${extract("function extractDomain(url)")}\n${extract("function truncate(text, maxLength)")}\n` +
+		`(${extract("function answerToAlfredItem(answer, searchUrl)")})`
+);
+
+const SEARCH_URL = "https://search.example.com/search?q=2%2B2";
+
+describe("parseAnswers", () => {
+	it("returns empty array for missing answers", () => {
+		assert.deepStrictEqual(parseAnswers(undefined), []);
+		assert.deepStrictEqual(parseAnswers(null), []);
+		assert.deepStrictEqual(parseAnswers("4"), []);
+	});
+
+	it("accepts plain string answers", () => {
+		assert.deepStrictEqual(parseAnswers(["4"]), [{ text: "4", url: null }]);
+	});
+
+	it("accepts answer objects with a source URL", () => {
+		const answers = parseAnswers([
+			{ answer: "1 mi = 1.609 km", url: "https://en.wikipedia.org/wiki/Mile", engine: "unit" },
+		]);
+		assert.deepStrictEqual(answers, [
+			{ text: "1 mi = 1.609 km", url: "https://en.wikipedia.org/wiki/Mile" },
+		]);
+	});
+
+	it("treats missing or empty url as no source", () => {
+		assert.deepStrictEqual(parseAnswers([{ answer: "4", url: "" }]), [{ text: "4", url: null }]);
+		assert.deepStrictEqual(parseAnswers([{ answer: "4" }]), [{ text: "4", url: null }]);
+	});
+
+	it("trims answers and skips empty ones", () => {
+		assert.deepStrictEqual(parseAnswers(["  4 ", "", "   ", { answer: "" }, null, {}]), [
+			{ text: "4", url: null },
+		]);
+	});
+
+	it("drops repeated answers, keeping the first", () => {
+		const answers = parseAnswers(["4", { answer: "4", url: "https://example.com" }, "5"]);
+		assert.deepStrictEqual(answers, [
+			{ text: "4", url: null },
+			{ text: "5", url: null },
+		]);
+	});
+});
+
+describe("answerToAlfredItem", () => {
+	it("copies the answer on Enter", () => {
+		const item = answerToAlfredItem({ text: "4", url: null }, SEARCH_URL);
+		assert.strictEqual(item.title, "4");
+		assert.strictEqual(item.arg, "4");
+		assert.deepStrictEqual(item.variables, { action: "copy" });
+		assert.strictEqual(item.text.copy, "4");
+	});
+
+	it("shows the full answer in Large Type", () => {
+		const long = `Line one\n${"x".repeat(300)}`;
+		const item = answerToAlfredItem({ text: long, url: null }, SEARCH_URL);
+		assert.strictEqual(item.text.largetype, long);
+		assert.strictEqual(item.arg, long);
+		assert.ok(item.title.length <= 120);
+		assert.ok(!item.title.includes("\n"));
+	});
+
+	it("opens the source URL with cmd when there is one", () => {
+		const item = answerToAlfredItem(
+			{ text: "4", url: "https://www.wolframalpha.com/input?i=2%2B2" },
+			SEARCH_URL
+		);
+		assert.strictEqual(item.mods.cmd.arg, "https://www.wolframalpha.com/input?i=2%2B2");
+		assert.deepStrictEqual(item.mods.cmd.variables, { action: "open" });
+		assert.ok(item.subtitle.includes("wolframalpha.com"));
+	});
+
+	it("disables cmd when the answer has no source", () => {
+		const item = answerToAlfredItem({ text: "4", url: null }, SEARCH_URL);
+		assert.strictEqual(item.mods.cmd.valid, false);
+	});
+
+	it("opens the search in SearXNG with alt", () => {
+		const item = answerToAlfredItem({ text: "4", url: null }, SEARCH_URL);
+		assert.strictEqual(item.mods.alt.arg, SEARCH_URL);
+		assert.deepStrictEqual(item.mods.alt.variables, { action: "open" });
+	});
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for archive URL templates
+ * Run with: node tests/archive-urls.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// eslint-disable-next-line no-eval
+const helpers = eval(`(() => {
+	${extract("function extractDomain(url)")}
+	${extract("function buildArchiveUrl(template, url)")}
+	${extract("function archiveMod(template, url, subtitle)")}
+	return { buildArchiveUrl, archiveMod };
+})()`);
+const { buildArchiveUrl, archiveMod } = helpers;
+
+const PAGE = "https://example.com/post?id=5#top";
+
+describe("buildArchiveUrl", () => {
+	it("inserts the URL as is", () => {
+		assert.strictEqual(
+			buildArchiveUrl("https://web.archive.org/web/{url}", PAGE),
+			"https://web.archive.org/web/https://example.com/post?id=5#top"
+		);
+	});
+
+	it("inserts the URL-encoded URL", () => {
+		assert.strictEqual(
+			buildArchiveUrl("https://archive.local/add?url={url_encoded}", PAGE),
+			"https://archive.local/add?url=https%3A%2F%2Fexample.com%2Fpost%3Fid%3D5%23top"
+		);
+	});
+
+	it("leaves templates without placeholders unchanged", () => {
+		assert.strictEqual(buildArchiveUrl("https://archive.local/", PAGE), "https://archive.local/");
+	});
+});
+
+describe("archiveMod", () => {
+	it("opens the archive URL and names the archive", () => {
+		const mod = archiveMod("https://archive.ph/newest/{url}", PAGE, "⌃⇧: Open archived copy on {archive}");
+		assert.strictEqual(mod.arg, "https://archive.ph/newest/https://example.com/post?id=5#top");
+		assert.strictEqual(mod.subtitle, "⌃⇧: Open archived copy on archive.ph");
+	});
+
+	it("is disabled without a template", () => {
+		assert.deepStrictEqual(archiveMod("", PAGE, "fn: Open latest snapshot on {archive}"), {
+			valid: false,
+			subtitle: "No archive URL configured",
+		});
+	});
+});
@@ -6,22 +6,11 @@
 
 const assert = require("node:assert");
 const { describe, it } = require("node:test");
-const fs = require("node:fs");
-const path = require("node:path");
+const { extract, extractConst } = require("./extract");
 
 // Extract parseAutocompleteResponse function from search.js via regex
-const searchJs = fs.readFileSync(
-	path.join(__dirname, "../scripts/search.js"),
-	"utf-8"
-);
-const parseAutocompleteFn = searchJs.match(
-	/function parseAutocompleteResponse\(responseData\) \{[\s\S]*?\n\}/
-);
-if (!parseAutocompleteFn) {
-	throw new Error("Could not find parseAutocompleteResponse function in search.js");
-}
 // eslint-disable-next-line no-eval
-const parseAutocompleteResponse = eval(`(${parseAutocompleteFn[0]})`);
+const parseAutocompleteResponse = eval(`(${extract("function parseAutocompleteResponse(responseData)")})`);
 
 describe("parseAutocompleteResponse", () => {
 	describe("valid responses", () => {
@@ -79,21 +68,34 @@ describe("parseAutocompleteResponse", () => {
 	});
 });
 
+// Extract buildSearchUrl function (dependency of the item builders)
+// eslint-disable-next-line no-eval
+const buildSearchUrl = eval(`(${extract("function buildSearchUrl(searxngUrl, query, filters)")})`);
+
+// Language helpers (dependencies of replaceQueryText)
+// eslint-disable-next-line no-eval
+const { BUILTIN_LANGUAGES, isKnownLanguage, parseLanguage } = eval(`(() => {
+	${extractConst("BUILTIN_LANGUAGES")}
+	${extract("function isKnownLanguage(code, languages)")}
+	${extract("function parseLanguage(value)")}
+	return { BUILTIN_LANGUAGES, isKnownLanguage, parseLanguage };
+})()`);
+
+// Extract replaceQueryText function (dependency of suggestionToAlfredItem)
+// eslint-disable-next-line no-eval
+const replaceQueryText = eval(`(${extract("function replaceQueryText(query, text, languages = BUILTIN_LANGUAGES)")})`);
+
 // Extract suggestionToAlfredItem function
-const suggestionFn = searchJs.match(
-	/function suggestionToAlfredItem\(suggestion, searxngUrl, category, timeRange\) \{[\s\S]*?\n\}/
-);
-if (!suggestionFn) {
-	throw new Error("Could not find suggestionToAlfredItem function in search.js");
-}
 // eslint-disable-next-line no-eval
-const suggestionToAlfredItem = eval(`(${suggestionFn[0]})`);
+const suggestionToAlfredItem = eval(
+	`(${extract("function suggestionToAlfredItem(suggestion, searxngUrl, filters, rawQuery, refine = false, languages)")})`
+);
 
 const MOCK_SEARXNG_URL = "https://search.example.com";
 
 describe("suggestionToAlfredItem", () => {
 	it("creates basic suggestion item with search URL", () => {
-		const item = suggestionToAlfredItem("climate change", MOCK_SEARXNG_URL, null, null);
+		const item = suggestionToAlfredItem("climate change", MOCK_SEARXNG_URL, {});
 		assert.strictEqual(item.title, "climate change");
 		assert.strictEqual(item.subtitle, "Search for this suggestion");
 		assert.strictEqual(item.arg, "https://search.example.com/search?q=climate%20change");
@@ -103,128 +105,173 @@ describe("suggestionToAlfredItem", () => {
 	});
 
 	it("inherits category in subtitle and URL", () => {
-		const item = suggestionToAlfredItem("mountains", MOCK_SEARXNG_URL, "images", null);
+		const item = suggestionToAlfredItem("mountains", MOCK_SEARXNG_URL, { categories: ["images"] });
 		assert.strictEqual(item.subtitle, "Search images for this suggestion");
 		assert.strictEqual(item.arg, "https://search.example.com/search?q=mountains&categories=images");
 	});
 
 	it("inherits time range in subtitle and URL", () => {
-		const item = suggestionToAlfredItem("news", MOCK_SEARXNG_URL, null, "day");
+		const item = suggestionToAlfredItem("news", MOCK_SEARXNG_URL, { timeRange: "day" });
 		assert.strictEqual(item.subtitle, "Search (past day) for this suggestion");
 		assert.strictEqual(item.arg, "https://search.example.com/search?q=news&time_range=day");
 	});
 
 	it("inherits both category and time range", () => {
-		const item = suggestionToAlfredItem("events", MOCK_SEARXNG_URL, "news", "month");
+		const item = suggestionToAlfredItem("events", MOCK_SEARXNG_URL, { categories: ["news"], timeRange: "month" });
 		assert.strictEqual(item.subtitle, "Search news (past month) for this suggestion");
 		assert.strictEqual(item.arg, "https://search.example.com/search?q=events&categories=news&time_range=month");
 	});
 
-	it("includes variables for bang context", () => {
-		const item = suggestionToAlfredItem("test", MOCK_SEARXNG_URL, "images", "month");
-		assert.deepStrictEqual(item.variables, {
-			category: "images",
-			timeRange: "month"
-		});
+	it("sets no variables, bang context travels in the URL or query", () => {
+		const item = suggestionToAlfredItem("test", MOCK_SEARXNG_URL, { categories: ["images"], timeRange: "month" });
+		assert.strictEqual(item.variables, undefined);
+	});
+
+	it("inherits several categories in subtitle and URL", () => {
+		const item = suggestionToAlfredItem("cats", MOCK_SEARXNG_URL, { categories: ["images", "videos"] });
+		assert.strictEqual(item.subtitle, "Search images, videos for this suggestion");
+		assert.strictEqual(item.arg, "https://search.example.com/search?q=cats&categories=images%2Cvideos");
+	});
+
+	it("inherits engines in subtitle and URL", () => {
+		const item = suggestionToAlfredItem("rust", MOCK_SEARXNG_URL, { engines: ["wikipedia", "github"] });
+		assert.strictEqual(item.subtitle, "Search via wikipedia, github for this suggestion");
+		assert.strictEqual(item.arg, "https://search.example.com/search?q=rust&engines=wikipedia%2Cgithub");
 	});
 
-	it("omits variables when no bang context", () => {
-		const item = suggestionToAlfredItem("test", MOCK_SEARXNG_URL, null, null);
+	it("inherits language in subtitle and URL", () => {
+		const item = suggestionToAlfredItem("fondue", MOCK_SEARXNG_URL, { language: "de-CH" });
+		assert.strictEqual(item.subtitle, "Search in :de-CH for this suggestion");
+		assert.strictEqual(item.arg, "https://search.example.com/search?q=fondue&language=de-CH");
+	});
+
+	it("inherits safe search level in URL", () => {
+		const item = suggestionToAlfredItem("art", MOCK_SEARXNG_URL, { safeSearch: 2 });
+		assert.strictEqual(item.arg, "https://search.example.com/search?q=art&safesearch=2");
+	});
+
+	it("ignores empty engines list", () => {
+		const item = suggestionToAlfredItem("rust", MOCK_SEARXNG_URL, { engines: [] });
+		assert.strictEqual(item.subtitle, "Search for this suggestion");
 		assert.strictEqual(item.variables, undefined);
 	});
+
+	it("refines inline results, keeping the query's bangs", () => {
+		const filters = { categories: ["news"], timeRange: "day" };
+		const item = suggestionToAlfredItem("rust async", MOCK_SEARXNG_URL, filters, "rust asy !n !d !p2", true);
+		assert.strictEqual(item.autocomplete, "rust async !n !d");
+		assert.strictEqual(item.valid, false);
+		assert.strictEqual(item.arg, undefined);
+		assert.strictEqual(item.subtitle, "Search news (past day) for this suggestion");
+	});
+
+	it("moves the browser search to the Option modifier when refining", () => {
+		const item = suggestionToAlfredItem("rust async", MOCK_SEARXNG_URL, { timeRange: "day" }, "rust !d", true);
+		assert.deepStrictEqual(item.mods.alt, {
+			arg: "https://search.example.com/search?q=rust%20async&time_range=day",
+			subtitle: "⌥: Open in SearXNG web interface",
+			valid: true,
+		});
+	});
 });
 
 // Extract shouldShowFullResults function
-const thresholdFn = searchJs.match(
-	/function shouldShowFullResults\(query\) \{[\s\S]*?\n\}/
-);
-if (!thresholdFn) {
-	throw new Error("Could not find shouldShowFullResults function in search.js");
-}
 // eslint-disable-next-line no-eval
-const shouldShowFullResults = eval(`(${thresholdFn[0]})`);
+const shouldShowFullResults = eval(`(${extract("function shouldShowFullResults(query)")})`);
 
 // Extract formatFilterSubtitle function (dependency of exactQueryItem)
-const formatFilterFn = searchJs.match(
-	/function formatFilterSubtitle\(category, timeRange\) \{[\s\S]*?\n\}/
-);
-if (!formatFilterFn) {
-	throw new Error("Could not find formatFilterSubtitle function in search.js");
-}
 // eslint-disable-next-line no-eval
-const formatFilterSubtitle = eval(`(${formatFilterFn[0]})`);
+const formatFilterSubtitle = eval(`(${extract("function formatFilterSubtitle(filters)")})`);
 
 // Extract exactQueryItem function
-const exactQueryFn = searchJs.match(
-	/function exactQueryItem\(query, searxngUrl, category, timeRange\) \{[\s\S]*?\n\}/
-);
-if (!exactQueryFn) {
-	throw new Error("Could not find exactQueryItem function in search.js");
-}
 // eslint-disable-next-line no-eval
-const exactQueryItem = eval(`(${exactQueryFn[0]})`);
+const exactQueryItem = eval(`(${extract("function exactQueryItem(query, searxngUrl, filters)")})`);
 
 describe("exactQueryItem", () => {
 	it("creates item with exact query in title", () => {
-		const item = exactQueryItem("test query", MOCK_SEARXNG_URL, null, null);
+		const item = exactQueryItem("test query", MOCK_SEARXNG_URL, {});
 		assert.strictEqual(item.title, 'Seek "test query"');
 	});
 
 	it("includes search URL as arg", () => {
-		const item = exactQueryItem("my search", MOCK_SEARXNG_URL, null, null);
+		const item = exactQueryItem("my search", MOCK_SEARXNG_URL, {});
 		assert.strictEqual(item.arg, "https://search.example.com/search?q=my%20search");
 	});
 
 	it("includes category in URL when present", () => {
-		const item = exactQueryItem("cats", MOCK_SEARXNG_URL, "images", null);
+		const item = exactQueryItem("cats", MOCK_SEARXNG_URL, { categories: ["images"] });
 		assert.strictEqual(item.arg, "https://search.example.com/search?q=cats&categories=images");
 	});
 
 	it("includes time range in URL when present", () => {
-		const item = exactQueryItem("news", MOCK_SEARXNG_URL, null, "day");
+		const item = exactQueryItem("news", MOCK_SEARXNG_URL, { timeRange: "day" });
 		assert.strictEqual(item.arg, "https://search.example.com/search?q=news&time_range=day");
 	});
 
 	it("includes both category and time range in URL", () => {
-		const item = exactQueryItem("events", MOCK_SEARXNG_URL, "news", "year");
+		const item = exactQueryItem("events", MOCK_SEARXNG_URL, { categories: ["news"], timeRange: "year" });
 		assert.strictEqual(item.arg, "https://search.example.com/search?q=events&categories=news&time_range=year");
 	});
 
 	it("shows filter info in subtitle when filters active", () => {
-		const item = exactQueryItem("test", MOCK_SEARXNG_URL, "images", "month");
+		const item = exactQueryItem("test", MOCK_SEARXNG_URL, { categories: ["images"], timeRange: "month" });
 		assert.strictEqual(item.subtitle, "Images · Past month");
 	});
 
+	it("lists several categories in URL and subtitle", () => {
+		const item = exactQueryItem("cats", MOCK_SEARXNG_URL, { categories: ["images", "videos"] });
+		assert.strictEqual(item.arg, "https://search.example.com/search?q=cats&categories=images%2Cvideos");
+		assert.strictEqual(item.subtitle, "Images, Videos");
+	});
+
+	it("includes engines in URL and subtitle when present", () => {
+		const item = exactQueryItem("rust", MOCK_SEARXNG_URL, { categories: ["news"], engines: ["wikipedia"] });
+		assert.strictEqual(item.arg, "https://search.example.com/search?q=rust&categories=news&engines=wikipedia");
+		assert.strictEqual(item.subtitle, "News · via wikipedia");
+	});
+
+	it("includes safe search level in URL and subtitle when present", () => {
+		const item = exactQueryItem("art", MOCK_SEARXNG_URL, { timeRange: "week", safeSearch: 0 });
+		assert.strictEqual(item.arg, "https://search.example.com/search?q=art&time_range=week&safesearch=0");
+		assert.strictEqual(item.subtitle, "Past week · Safe search off");
+	});
+
+	it("mentions newest-first sorting in subtitle only", () => {
+		const item = exactQueryItem("election", MOCK_SEARXNG_URL, { categories: ["news"], sort: "date" });
+		assert.strictEqual(item.arg, "https://search.example.com/search?q=election&categories=news");
+		assert.strictEqual(item.subtitle, "News · Newest first");
+	});
+
+	it("includes language in URL and subtitle when present", () => {
+		const item = exactQueryItem("fondue", MOCK_SEARXNG_URL, { language: "de-CH" });
+		assert.strictEqual(item.arg, "https://search.example.com/search?q=fondue&language=de-CH");
+		assert.strictEqual(item.subtitle, ":de-CH");
+	});
+
 	it("shows default subtitle when no filters", () => {
-		const item = exactQueryItem("test", MOCK_SEARXNG_URL, null, null);
+		const item = exactQueryItem("test", MOCK_SEARXNG_URL, {});
 		assert.strictEqual(item.subtitle, "Search SearXNG");
 	});
 
 	it("uses workflow icon", () => {
-		const item = exactQueryItem("test", MOCK_SEARXNG_URL, null, null);
+		const item = exactQueryItem("test", MOCK_SEARXNG_URL, {});
 		assert.deepStrictEqual(item.icon, { path: "icon.png" });
 	});
 
 	it("is valid (can be actioned)", () => {
-		const item = exactQueryItem("test", MOCK_SEARXNG_URL, null, null);
+		const item = exactQueryItem("test", MOCK_SEARXNG_URL, {});
 		assert.strictEqual(item.valid, true);
 	});
 
 	it("does not set autocomplete (prevents loop)", () => {
-		const item = exactQueryItem("test", MOCK_SEARXNG_URL, null, null);
+		const item = exactQueryItem("test", MOCK_SEARXNG_URL, {});
 		assert.strictEqual(item.autocomplete, undefined);
 	});
 });
 
 // Extract shouldShowExactQueryItem function
-const shouldShowExactFn = searchJs.match(
-	/function shouldShowExactQueryItem\(query, suggestions\) \{[\s\S]*?\n\}/
-);
-if (!shouldShowExactFn) {
-	throw new Error("Could not find shouldShowExactQueryItem function in search.js");
-}
 // eslint-disable-next-line no-eval
-const shouldShowExactQueryItem = eval(`(${shouldShowExactFn[0]})`);
+const shouldShowExactQueryItem = eval(`(${extract("function shouldShowExactQueryItem(query, suggestions)")})`);
 
 describe("shouldShowExactQueryItem", () => {
 	it("returns true when suggestions exist and first differs from query", () => {
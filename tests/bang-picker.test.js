@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for bang picker functions
+ * Run with: node tests/bang-picker.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// Extract getPartialBang function
+// eslint-disable-next-line no-eval
+const getPartialBang = eval(`(${extract("function getPartialBang(query)")})`);
+
+// Extract matchBangs function
+// eslint-disable-next-line no-eval
+const matchBangs = eval(`(${extract("function matchBangs(partial, bangs)")})`);
+
+// Extract bangToAlfredItem function
+// eslint-disable-next-line no-eval
+const bangToAlfredItem = eval(`(${extract("function bangToAlfredItem(match, queryPrefix)")})`);
+
+const MOCK_BANGS = {
+	categories: { "!images": "images", "!i": "images", "!news": "news", "!n": "news" },
+	timeRanges: { "!d": "day", "!w": "week" },
+	safeSearch: { "!strict": 2 },
+	sortOrders: { "!new": "date" },
+	engines: { "!wp": "wikipedia", "!ddg": "duckduckgo", "!ne": "neeva" },
+};
+
+describe("getPartialBang", () => {
+	it("detects a lone bang", () => {
+		assert.deepStrictEqual(getPartialBang("!"), { prefix: "", partial: "!" });
+	});
+
+	it("detects a partial bang at the start", () => {
+		assert.deepStrictEqual(getPartialBang("!ne"), { prefix: "", partial: "!ne" });
+	});
+
+	it("detects a partial bang after other words", () => {
+		assert.deepStrictEqual(getPartialBang("rust !g"), { prefix: "rust ", partial: "!g" });
+	});
+
+	it("returns null when the bang is followed by a space", () => {
+		assert.strictEqual(getPartialBang("!news "), null);
+	});
+
+	it("returns null when the last word is not a bang", () => {
+		assert.strictEqual(getPartialBang("!news election"), null);
+	});
+
+	it("returns null for a bang inside a word", () => {
+		assert.strictEqual(getPartialBang("foo!ba"), null);
+	});
+
+	it("returns null for plain query", () => {
+		assert.strictEqual(getPartialBang("climate change"), null);
+	});
+});
+
+describe("matchBangs", () => {
+	it("lists every bang for a lone !", () => {
+		const matches = matchBangs("!", MOCK_BANGS);
+		assert.strictEqual(matches.length, 11);
+	});
+
+	it("orders categories, then time ranges, safe search, sort orders and engines", () => {
+		const matches = matchBangs("!", MOCK_BANGS);
+		assert.deepStrictEqual(
+			matches.map((m) => m.bang),
+			["!images", "!i", "!news", "!n", "!d", "!w", "!strict", "!new", "!wp", "!ddg", "!ne"]
+		);
+	});
+
+	it("filters by prefix", () => {
+		const matches = matchBangs("!ne", MOCK_BANGS);
+		assert.deepStrictEqual(matches.map((m) => m.bang), ["!news", "!new", "!ne"]);
+	});
+
+	it("matches case-insensitively", () => {
+		const matches = matchBangs("!NE", MOCK_BANGS);
+		assert.deepStrictEqual(matches.map((m) => m.bang), ["!news", "!new", "!ne"]);
+	});
+
+	it("describes each kind of bang", () => {
+		const matches = matchBangs("!", MOCK_BANGS);
+		assert.strictEqual(matches[0].description, "Category: images");
+		assert.strictEqual(matches[4].description, "Time range: past day");
+		assert.strictEqual(matches[6].description, "Safe search: strict");
+		assert.strictEqual(matches[7].description, "Sort: newest first");
+		assert.strictEqual(matches[8].description, "Engine: wikipedia");
+	});
+
+	it("returns empty array when nothing matches", () => {
+		assert.deepStrictEqual(matchBangs("!xyz", MOCK_BANGS), []);
+	});
+});
+
+describe("bangToAlfredItem", () => {
+	const match = { bang: "!news", description: "Category: news" };
+
+	it("shows bang as title and description as subtitle", () => {
+		const item = bangToAlfredItem(match, "");
+		assert.strictEqual(item.title, "!news");
+		assert.strictEqual(item.subtitle, "Category: news");
+	});
+
+	it("autocompletes the bang followed by a space", () => {
+		const item = bangToAlfredItem(match, "");
+		assert.strictEqual(item.autocomplete, "!news ");
+	});
+
+	it("keeps text typed before the bang", () => {
+		const item = bangToAlfredItem(match, "election ");
+		assert.strictEqual(item.autocomplete, "election !news ");
+	});
+
+	it("is not valid so Enter autocompletes instead of actioning", () => {
+		const item = bangToAlfredItem(match, "");
+		assert.strictEqual(item.valid, false);
+	});
+});
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for buildBangVocabulary and loadBangVocabulary functions
+ * Run with: node tests/bang-vocabulary.test.js
+ *
+ * buildBangVocabulary turns a SearXNG /config response into the bang tables
+ * used by parseBangs, falling back to BUILTIN_BANGS when /config is unusable.
+ * loadBangVocabulary caches that vocabulary between keystrokes.
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract, extractConst } = require("./extract");
+
+// Extract BUILTIN_BANGS and buildBangVocabulary from search.js
+// eslint-disable-next-line no-eval
+const BUILTIN_LANGUAGES = eval(`(${extractConst("BUILTIN_LANGUAGES").replace(/^const BUILTIN_LANGUAGES = /, "").replace(/;$/, "")})`);
+// eslint-disable-next-line no-eval
+const BUILTIN_BANGS = eval(`(${extractConst("BUILTIN_BANGS").replace(/^const BUILTIN_BANGS = /, "").replace(/;$/, "")})`);
+// eslint-disable-next-line no-eval
+const buildBangVocabulary = eval(`(${extract("function buildBangVocabulary(instanceConfig)")})`);
+
+const MOCK_CONFIG = {
+	categories: ["general", "images", "videos", "news", "map", "it", "social media"],
+	engines: [
+		{ name: "wikipedia", shortcut: "wp", enabled: true, categories: ["general"] },
+		{ name: "github", shortcut: "gh", enabled: true, categories: ["it"] },
+		{ name: "bing", shortcut: "bi", enabled: false, categories: ["general"] },
+		{ name: "dailymotion", shortcut: "d", enabled: true, categories: ["videos"] },
+		{ name: "safebooru", shortcut: "safe", enabled: true, categories: ["images"] },
+		{ name: "internet archive", shortcut: "", enabled: true, categories: ["general"] },
+	],
+	locales: { en: "English", de: "Deutsch" },
+};
+
+describe("buildBangVocabulary", () => {
+	describe("fallback to built-in tables", () => {
+		it("returns built-in bangs for null config", () => {
+			assert.deepStrictEqual(buildBangVocabulary(null), BUILTIN_BANGS);
+		});
+
+		it("returns built-in bangs when categories are missing", () => {
+			assert.deepStrictEqual(buildBangVocabulary({ engines: [] }), BUILTIN_BANGS);
+		});
+
+		it("returns built-in bangs when engines are missing", () => {
+			assert.deepStrictEqual(buildBangVocabulary({ categories: [] }), BUILTIN_BANGS);
+		});
+	});
+
+	describe("categories", () => {
+		const vocabulary = buildBangVocabulary(MOCK_CONFIG);
+
+		it("creates a bang for each category", () => {
+			assert.strictEqual(vocabulary.categories["!general"], "general");
+			assert.strictEqual(vocabulary.categories["!it"], "it");
+		});
+
+		it("replaces spaces with underscores", () => {
+			assert.strictEqual(vocabulary.categories["!social_media"], "social media");
+		});
+
+		it("keeps built-in aliases for offered categories", () => {
+			assert.strictEqual(vocabulary.categories["!i"], "images");
+			assert.strictEqual(vocabulary.categories["!n"], "news");
+			assert.strictEqual(vocabulary.categories["!v"], "videos");
+		});
+
+		it("maps plural built-in alias to singular instance category", () => {
+			assert.strictEqual(vocabulary.categories["!maps"], "map");
+		});
+
+		it("drops aliases for categories the instance lacks", () => {
+			const minimal = buildBangVocabulary({ categories: ["general"], engines: [] });
+			assert.strictEqual(minimal.categories["!i"], undefined);
+		});
+	});
+
+	describe("engines", () => {
+		const vocabulary = buildBangVocabulary(MOCK_CONFIG);
+
+		it("creates a bang for each enabled engine shortcut", () => {
+			assert.strictEqual(vocabulary.engines["!wp"], "wikipedia");
+			assert.strictEqual(vocabulary.engines["!gh"], "github");
+		});
+
+		it("skips disabled engines", () => {
+			assert.strictEqual(vocabulary.engines["!bi"], undefined);
+		});
+
+		it("skips engines without a shortcut", () => {
+			assert.ok(!Object.values(vocabulary.engines).includes("internet archive"));
+		});
+
+		it("does not let engine shortcuts shadow time range bangs", () => {
+			assert.strictEqual(vocabulary.engines["!d"], undefined);
+			assert.strictEqual(vocabulary.timeRanges["!d"], "day");
+		});
+	});
+
+	it("does not let engine shortcuts shadow safe search bangs", () => {
+		const vocabulary = buildBangVocabulary(MOCK_CONFIG);
+		assert.strictEqual(vocabulary.engines["!safe"], undefined);
+		assert.strictEqual(vocabulary.safeSearch["!safe"], 1);
+	});
+
+	it("always keeps the built-in safe search levels", () => {
+		const vocabulary = buildBangVocabulary(MOCK_CONFIG);
+		assert.deepStrictEqual(vocabulary.safeSearch, BUILTIN_BANGS.safeSearch);
+	});
+
+	it("always keeps the built-in sort orders", () => {
+		const vocabulary = buildBangVocabulary(MOCK_CONFIG);
+		assert.deepStrictEqual(vocabulary.sortOrders, BUILTIN_BANGS.sortOrders);
+	});
+
+	it("always keeps the built-in time ranges", () => {
+		const vocabulary = buildBangVocabulary(MOCK_CONFIG);
+		assert.deepStrictEqual(vocabulary.timeRanges, BUILTIN_BANGS.timeRanges);
+	});
+});
+
+describe("buildBangVocabulary languages", () => {
+	// parseBangs checks :xx tokens against the vocabulary's languages
+	// eslint-disable-next-line no-eval
+	const parseBangs = eval(
+		`${extract("function isKnownLanguage(code, languages)")}\n${extractConst("MAX_RESULT_PAGE")}\n` +
+			`${extract("function parseLanguage(value)")}\n(${extract("function parseBangs(query, bangs = BUILTIN_BANGS)")})`
+	);
+
+	it("adds the base language of each locale to the built-in languages", () => {
+		const config = { ...MOCK_CONFIG, locales: { "zh-Hant-TW": "中文", "pt-BR": "Português", "tlh": "Klingon" } };
+		const languages = buildBangVocabulary(config).languages;
+		assert.deepStrictEqual(languages, [...BUILTIN_LANGUAGES, "tlh"]);
+	});
+
+	it("keeps built-in languages the locales only list with a region", () => {
+		const config = { ...MOCK_CONFIG, locales: { "zh-Hant-TW": "中文", "fa-IR": "فارسی", "nb-NO": "Norsk" } };
+		const vocabulary = buildBangVocabulary(config);
+		const result = parseBangs("tea :zh", vocabulary);
+		assert.strictEqual(result.query, "tea");
+		assert.strictEqual(result.language, "zh");
+		assert.strictEqual(parseBangs("tea :zh-CN", vocabulary).language, "zh-CN");
+		assert.strictEqual(parseBangs("chai :hi", vocabulary).language, "hi");
+	});
+
+	it("falls back to built-in languages without locales", () => {
+		const { locales, ...config } = MOCK_CONFIG;
+		assert.deepStrictEqual(buildBangVocabulary(config).languages, BUILTIN_LANGUAGES);
+	});
+});
+
+describe("loadBangVocabulary", () => {
+	// The JXA file and network helpers are stubbed; loadBangVocabulary sees these bindings
+	const NOW = Date.now();
+	const HOUR = 60 * 60 * 1000;
+	let cacheFile = null;
+	let requests = 0;
+	let configResponse = null;
+	/* eslint-disable no-unused-vars */
+	const getWorkflowDataDir = () => "/data";
+	const getEnv = (name, fallback) => (name === "alfred_workflow_version" ? "2.0.0" : fallback);
+	const readJsonFile = () => (cacheFile ? JSON.parse(cacheFile) : null);
+	const writeJsonFile = (_path, data) => {
+		cacheFile = JSON.stringify(data);
+		return true;
+	};
+	const httpGet = () => {
+		requests++;
+		return configResponse ? { success: true, data: JSON.stringify(configResponse) } : { success: false, error: "timeout" };
+	};
+	/* eslint-enable no-unused-vars */
+	// eslint-disable-next-line no-eval
+	const loadBangVocabulary = eval(
+		`${extractConst("INSTANCE_CONFIG_TTL_SECONDS")}\n${extractConst("INSTANCE_CONFIG_RETRY_SECONDS")}\n` +
+			`(${extract("function loadBangVocabulary(searxngUrl, timeoutSecs)")})`
+	);
+
+	const reset = (cached, response) => {
+		cacheFile = cached ? JSON.stringify(cached) : null;
+		requests = 0;
+		configResponse = response;
+	};
+
+	it("caches the derived vocabulary, not the raw /config", () => {
+		reset(null, MOCK_CONFIG);
+		const vocabulary = loadBangVocabulary("https://search.example.com", 5);
+		assert.deepStrictEqual(vocabulary, buildBangVocabulary(MOCK_CONFIG));
+		const cached = JSON.parse(cacheFile);
+		assert.deepStrictEqual(cached.bangs, vocabulary);
+		assert.strictEqual(cached.config, undefined);
+		assert.strictEqual(cached.failed, false);
+	});
+
+	it("serves the cached vocabulary without a request", () => {
+		const bangs = buildBangVocabulary(MOCK_CONFIG);
+		reset({ url: "https://search.example.com", version: "2.0.0", fetchedAt: NOW - HOUR, failed: false, bangs }, null);
+		assert.deepStrictEqual(loadBangVocabulary("https://search.example.com", 5), bangs);
+		assert.strictEqual(requests, 0);
+	});
+
+	it("retries a failed fetch after minutes, not a day", () => {
+		const cached = { url: "https://search.example.com", version: "2.0.0", failed: true, bangs: null };
+		reset({ ...cached, fetchedAt: NOW - 60 * 1000 }, MOCK_CONFIG);
+		assert.strictEqual(loadBangVocabulary("https://search.example.com", 5), BUILTIN_BANGS);
+		assert.strictEqual(requests, 0);
+
+		reset({ ...cached, fetchedAt: NOW - 10 * 60 * 1000 }, MOCK_CONFIG);
+		assert.deepStrictEqual(loadBangVocabulary("https://search.example.com", 5), buildBangVocabulary(MOCK_CONFIG));
+		assert.strictEqual(requests, 1);
+	});
+
+	it("keeps the previous vocabulary when a refetch fails", () => {
+		const bangs = buildBangVocabulary(MOCK_CONFIG);
+		reset({ url: "https://search.example.com", version: "2.0.0", fetchedAt: NOW - 25 * HOUR, failed: false, bangs }, null);
+		assert.deepStrictEqual(loadBangVocabulary("https://search.example.com", 5), bangs);
+		assert.strictEqual(JSON.parse(cacheFile).failed, true);
+	});
+
+	it("refetches when the instance or workflow version changes", () => {
+		const bangs = buildBangVocabulary(MOCK_CONFIG);
+		reset({ url: "https://other.example.com", version: "2.0.0", fetchedAt: NOW, failed: false, bangs }, null);
+		assert.strictEqual(loadBangVocabulary("https://search.example.com", 5), BUILTIN_BANGS);
+		assert.strictEqual(requests, 1);
+
+		reset({ url: "https://search.example.com", version: "1.9.0", fetchedAt: NOW, failed: false, bangs }, null);
+		loadBangVocabulary("https://search.example.com", 5);
+		assert.strictEqual(requests, 1);
+	});
+});
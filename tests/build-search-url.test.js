@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for buildSearchUrl function
+ * Run with: node tests/build-search-url.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// Extract buildSearchUrl function from search.js
+// eslint-disable-next-line no-eval
+const buildSearchUrl = eval(`(${extract("function buildSearchUrl(searxngUrl, query, filters)")})`);
+
+const MOCK_SEARXNG_URL = "https://search.example.com";
+
+describe("buildSearchUrl", () => {
+	it("builds plain query URL without filters", () => {
+		const url = buildSearchUrl(MOCK_SEARXNG_URL, "climate change", {});
+		assert.strictEqual(url, "https://search.example.com/search?q=climate%20change");
+	});
+
+	it("adds category and time range", () => {
+		const url = buildSearchUrl(MOCK_SEARXNG_URL, "events", { categories: ["news"], timeRange: "week" });
+		assert.strictEqual(url, "https://search.example.com/search?q=events&categories=news&time_range=week");
+	});
+
+	it("joins several categories into one comma-separated parameter", () => {
+		const url = buildSearchUrl(MOCK_SEARXNG_URL, "cats", { categories: ["images", "videos"] });
+		assert.strictEqual(url, "https://search.example.com/search?q=cats&categories=images%2Cvideos");
+	});
+
+	it("adds safe search level", () => {
+		const url = buildSearchUrl(MOCK_SEARXNG_URL, "art", { safeSearch: 2 });
+		assert.strictEqual(url, "https://search.example.com/search?q=art&safesearch=2");
+	});
+
+	it("adds safe search level 0 (off)", () => {
+		const url = buildSearchUrl(MOCK_SEARXNG_URL, "art", { safeSearch: 0 });
+		assert.strictEqual(url, "https://search.example.com/search?q=art&safesearch=0");
+	});
+
+	it("adds a single engine", () => {
+		const url = buildSearchUrl(MOCK_SEARXNG_URL, "rust", { engines: ["wikipedia"] });
+		assert.strictEqual(url, "https://search.example.com/search?q=rust&engines=wikipedia");
+	});
+
+	it("joins several engines into one comma-separated parameter", () => {
+		const url = buildSearchUrl(MOCK_SEARXNG_URL, "rust", { engines: ["wikipedia", "github"] });
+		assert.strictEqual(url, "https://search.example.com/search?q=rust&engines=wikipedia%2Cgithub");
+	});
+
+	it("omits engines parameter for empty list", () => {
+		const url = buildSearchUrl(MOCK_SEARXNG_URL, "rust", { engines: [] });
+		assert.strictEqual(url, "https://search.example.com/search?q=rust");
+	});
+
+	it("adds language after the other filters", () => {
+		const url = buildSearchUrl(MOCK_SEARXNG_URL, "fondue", { categories: ["news"], language: "de-CH" });
+		assert.strictEqual(url, "https://search.example.com/search?q=fondue&categories=news&language=de-CH");
+	});
+
+	it("encodes special characters in query", () => {
+		const url = buildSearchUrl(MOCK_SEARXNG_URL, "c++ & rust", {});
+		assert.strictEqual(url, "https://search.example.com/search?q=c%2B%2B%20%26%20rust");
+	});
+});
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for tracking-parameter stripping
+ * Run with: node tests/clean-url.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract, extractConst } = require("./extract");
+
+// eslint-disable-next-line no-eval
+const helpers = eval(`(() => {
+	${extract("function extractDomain(url)")}
+	${extractConst("TRACKING_PARAMS")}
+	${extract("function isTrackingParam(name)")}
+	${extract("function domainMatches(domain, pattern)")}
+	${extractConst("BUILTIN_URL_RULES")}
+	${extract("function parseUrlRules(text)")}
+	${extract("function cleanUrl(url, rules)")}
+	return { domainMatches, BUILTIN_URL_RULES, parseUrlRules, cleanUrl };
+})()`);
+const { domainMatches, BUILTIN_URL_RULES, parseUrlRules, cleanUrl } = helpers;
+
+describe("domainMatches", () => {
+	it("matches plain patterns exactly", () => {
+		assert.strictEqual(domainMatches("example.com", "example.com"), true);
+		assert.strictEqual(domainMatches("Example.COM", "example.com"), true);
+		assert.strictEqual(domainMatches("blog.example.com", "example.com"), false);
+		assert.strictEqual(domainMatches("notexample.com", "example.com"), false);
+	});
+
+	it("matches wildcard patterns against the domain and its subdomains", () => {
+		assert.strictEqual(domainMatches("medium.com", "*.medium.com"), true);
+		assert.strictEqual(domainMatches("blog.medium.com", "*.medium.com"), true);
+		assert.strictEqual(domainMatches("notmedium.com", "*.medium.com"), false);
+	});
+});
+
+describe("parseUrlRules", () => {
+	it("parses allowed and stripped parameters per domain", () => {
+		assert.deepStrictEqual(parseUrlRules("example.com: page, Ref\n*.shop.com: -sid -aff"), [
+			{ pattern: "example.com", allow: ["page", "ref"], strip: [] },
+			{ pattern: "*.shop.com", allow: [], strip: ["sid", "aff"] },
+		]);
+	});
+
+	it("ignores blank lines, comments and lines without a colon", () => {
+		assert.deepStrictEqual(parseUrlRules("\n# keep pages\nexample.com\n"), []);
+	});
+
+	it("returns no rules for empty configuration", () => {
+		assert.deepStrictEqual(parseUrlRules(""), []);
+		assert.deepStrictEqual(parseUrlRules(undefined), []);
+	});
+});
+
+describe("cleanUrl", () => {
+	it("strips common tracking parameters", () => {
+		assert.strictEqual(
+			cleanUrl("https://example.com/a?utm_source=x&id=5&fbclid=abc&gclid=def&ref=hn", []),
+			"https://example.com/a?id=5"
+		);
+	});
+
+	it("drops the question mark when nothing is left", () => {
+		assert.strictEqual(cleanUrl("https://example.com/a?utm_medium=feed", []), "https://example.com/a");
+	});
+
+	it("keeps the fragment", () => {
+		assert.strictEqual(
+			cleanUrl("https://example.com/a?utm_campaign=x#section", []),
+			"https://example.com/a#section"
+		);
+	});
+
+	it("leaves URLs without parameters alone", () => {
+		assert.strictEqual(cleanUrl("https://example.com/a#b", []), "https://example.com/a#b");
+		assert.strictEqual(cleanUrl("https://example.com/", []), "https://example.com/");
+	});
+
+	it("keeps parameters a rule allows", () => {
+		assert.strictEqual(
+			cleanUrl("https://github.com/o/r/blob/main/x?ref=v1&utm_source=x", BUILTIN_URL_RULES),
+			"https://github.com/o/r/blob/main/x?ref=v1"
+		);
+	});
+
+	it("strips site-specific parameters from matching rules", () => {
+		assert.strictEqual(
+			cleanUrl("https://www.youtube.com/watch?v=abc&si=xyz&feature=share", BUILTIN_URL_RULES),
+			"https://www.youtube.com/watch?v=abc"
+		);
+		assert.strictEqual(cleanUrl("https://example.com/?si=1", BUILTIN_URL_RULES), "https://example.com/?si=1");
+	});
+
+	it("applies user rules", () => {
+		const rules = parseUrlRules("news.example.com: ref\n*.shop.com: -sid");
+		assert.strictEqual(cleanUrl("https://news.example.com/a?ref=x", rules), "https://news.example.com/a?ref=x");
+		assert.strictEqual(cleanUrl("https://eu.shop.com/p?sid=1&p=2", rules), "https://eu.shop.com/p?p=2");
+	});
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for copy-as link formats
+ * Run with: node tests/copy-as.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract, extractConst } = require("./extract");
+
+// eslint-disable-next-line no-eval
+const helpers = eval(`(() => {
+	${extract("function extractDomain(url)")}
+	${extract("function parsePublishedDate(value)")}
+	${extract("function formatTimestamp(date)")}
+	${extractConst("COPY_FORMATS")}
+	${extract("function formatCopyAs(format, title, url, result, now = new Date())")}
+	return { formatCopyAs };
+})()`);
+const { formatCopyAs } = helpers;
+
+const URL = "https://en.wikipedia.org/wiki/Rust_(programming_language)";
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+describe("formatCopyAs", () => {
+	it("formats Markdown links, escaping brackets and parentheses", () => {
+		assert.deepStrictEqual(formatCopyAs("markdown", "Rust [language]", URL), {
+			label: "Markdown link",
+			text: "[Rust \\[language\\]](https://en.wikipedia.org/wiki/Rust_%28programming_language%29)",
+		});
+	});
+
+	it("formats HTML links, escaping markup in title and URL", () => {
+		assert.strictEqual(
+			formatCopyAs("html", 'Tom & Jerry <"classic">', "https://example.com/?a=1&b=2").text,
+			'<a href="https://example.com/?a=1&amp;b=2">Tom &amp; Jerry &lt;&quot;classic&quot;&gt;</a>'
+		);
+	});
+
+	it("formats Org links without brackets in the description", () => {
+		assert.strictEqual(
+			formatCopyAs("org", "Arrays [MDN]", "https://example.com/a[0]").text,
+			"[[https://example.com/a%5B0%5D][Arrays (MDN)]]"
+		);
+	});
+
+	it("formats citations with domain and published date", () => {
+		const result = { publishedDate: "2024-03-07T12:00:00" };
+		assert.strictEqual(
+			formatCopyAs("citation", "Rust 1.77 released", "https://blog.rust-lang.org/a", result, NOW).text,
+			"Rust 1.77 released. blog.rust-lang.org, 2024-03-07. https://blog.rust-lang.org/a"
+		);
+	});
+
+	it("uses the access date for undated citations", () => {
+		assert.strictEqual(
+			formatCopyAs("citation", "What is Rust?", "https://www.rust-lang.org/", {}, NOW).text,
+			"What is Rust? rust-lang.org, accessed 2026-10-19. https://www.rust-lang.org/"
+		);
+	});
+
+	it("falls back to the URL as title and collapses whitespace", () => {
+		assert.strictEqual(formatCopyAs("markdown", "", "https://example.com").text, "[https://example.com](https://example.com)");
+		assert.strictEqual(formatCopyAs("markdown", "a\n  b", "https://example.com").text, "[a b](https://example.com)");
+	});
+
+	it("falls back to Markdown for unknown formats", () => {
+		assert.strictEqual(formatCopyAs("bbcode", "Rust", "https://example.com").label, "Markdown link");
+	});
+});
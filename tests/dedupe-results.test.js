@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for client-side result deduplication
+ * Run with: node tests/dedupe-results.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract, extractConst } = require("./extract");
+
+// eslint-disable-next-line no-eval
+const helpers = eval(`(() => {
+	${extractConst("TRACKING_PARAMS")}
+	${extract("function isTrackingParam(name)")}
+	${extract("function normalizeResultUrl(url)")}
+	${extract("function dedupeResults(results)")}
+	return { normalizeResultUrl, dedupeResults };
+})()`);
+const { normalizeResultUrl, dedupeResults } = helpers;
+
+describe("normalizeResultUrl", () => {
+	const key = normalizeResultUrl("https://example.com/article");
+
+	it("ignores scheme, www and trailing slash", () => {
+		assert.strictEqual(normalizeResultUrl("http://www.example.com/article/"), key);
+	});
+
+	it("ignores mobile and AMP variants", () => {
+		assert.strictEqual(normalizeResultUrl("https://m.example.com/article"), key);
+		assert.strictEqual(normalizeResultUrl("https://amp.example.com/article"), key);
+		assert.strictEqual(normalizeResultUrl("https://example.com/article/amp/"), key);
+		assert.strictEqual(normalizeResultUrl("https://example.com/article?amp"), key);
+	});
+
+	it("ignores tracking parameters and fragments", () => {
+		assert.strictEqual(
+			normalizeResultUrl("https://example.com/article?utm_source=x&utm_medium=y&fbclid=abc#top"),
+			key
+		);
+	});
+
+	it("keeps meaningful parameters, in any order", () => {
+		assert.strictEqual(
+			normalizeResultUrl("https://example.com/search?b=2&a=1"),
+			normalizeResultUrl("https://example.com/search?a=1&b=2&gclid=z")
+		);
+		assert.notStrictEqual(
+			normalizeResultUrl("https://example.com/search?a=1"),
+			normalizeResultUrl("https://example.com/search?a=2")
+		);
+	});
+
+	it("keeps the path case-sensitive", () => {
+		assert.notStrictEqual(
+			normalizeResultUrl("https://example.com/A"),
+			normalizeResultUrl("https://example.com/a")
+		);
+	});
+
+	it("returns non-http URLs unchanged", () => {
+		assert.strictEqual(normalizeResultUrl("ftp://example.com/file"), "ftp://example.com/file");
+	});
+});
+
+describe("dedupeResults", () => {
+	it("keeps distinct results untouched and in order", () => {
+		const results = [{ url: "https://a.com/" }, { url: "https://b.com/" }];
+		assert.deepStrictEqual(dedupeResults(results), results);
+	});
+
+	it("merges variants at the position of the first one", () => {
+		const results = [
+			{ url: "https://a.com/x", title: "A", score: 1, engines: ["bing"] },
+			{ url: "https://b.com/", title: "B", score: 0.8, engines: ["brave"] },
+			{ url: "http://www.a.com/x/", title: "A (better)", content: "Snippet", score: 2, engines: ["google", "bing"] },
+		];
+		const merged = dedupeResults(results);
+		assert.deepStrictEqual(merged.map((r) => r.title), ["A (better)", "B"]);
+	});
+
+	it("takes title and snippet from the best-scoring variant and combines engines", () => {
+		const results = [
+			{ url: "https://a.com/x", title: "Short", content: "Old", score: 1, engines: ["bing"] },
+			{ url: "https://a.com/x?utm_source=feed", title: "Best", content: "New", score: 3, engines: ["google"] },
+		];
+		const [merged] = dedupeResults(results);
+		assert.strictEqual(merged.title, "Best");
+		assert.strictEqual(merged.content, "New");
+		assert.deepStrictEqual(merged.engines, ["bing", "google"]);
+		assert.strictEqual(merged.score, 3);
+	});
+
+	it("prefers an https URL", () => {
+		const results = [
+			{ url: "http://a.com/x", score: 2 },
+			{ url: "https://a.com/x", score: 1 },
+		];
+		assert.strictEqual(dedupeResults(results)[0].url, "https://a.com/x");
+	});
+
+	it("fills a missing snippet from another variant", () => {
+		const results = [
+			{ url: "https://a.com/x", title: "A", score: 2 },
+			{ url: "https://a.com/x/", title: "A", content: "Snippet", score: 1 },
+		];
+		assert.strictEqual(dedupeResults(results)[0].content, "Snippet");
+	});
+
+	it("skips results without URL", () => {
+		assert.deepStrictEqual(dedupeResults([{ title: "x" }, null]), []);
+	});
+});
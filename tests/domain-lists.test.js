@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for blocked, lowered and boosted domain lists
+ * Run with: node tests/domain-lists.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// eslint-disable-next-line no-eval
+const helpers = eval(`(() => {
+	${extract("function extractDomain(url)")}
+	${extract("function domainMatches(domain, pattern)")}
+	${extract("function parseDomainList(text)")}
+	${extract("function isListedDomain(url, patterns)")}
+	${extract("function applyDomainLists(results, lists)")}
+	return { parseDomainList, isListedDomain, applyDomainLists };
+})()`);
+const { parseDomainList, isListedDomain, applyDomainLists } = helpers;
+
+const urls = (results) => results.map((r) => r.url);
+
+describe("parseDomainList", () => {
+	it("splits on newlines, commas and spaces", () => {
+		assert.deepStrictEqual(parseDomainList("pinterest.com\n*.Medium.com, quora.com  w3schools.com"), [
+			"pinterest.com",
+			"*.medium.com",
+			"quora.com",
+			"w3schools.com",
+		]);
+	});
+
+	it("ignores comments and blank lines", () => {
+		assert.deepStrictEqual(parseDomainList("# content farms\n\nehow.com # spam\n"), ["ehow.com"]);
+	});
+
+	it("returns an empty list for empty configuration", () => {
+		assert.deepStrictEqual(parseDomainList(""), []);
+		assert.deepStrictEqual(parseDomainList(undefined), []);
+	});
+});
+
+describe("isListedDomain", () => {
+	it("matches exact domains, ignoring www", () => {
+		assert.strictEqual(isListedDomain("https://www.pinterest.com/pin/1", ["pinterest.com"]), true);
+		assert.strictEqual(isListedDomain("https://pinterest.co.uk/pin/1", ["pinterest.com"]), false);
+	});
+
+	it("matches wildcard patterns against subdomains", () => {
+		assert.strictEqual(isListedDomain("https://blog.medium.com/a", ["*.medium.com"]), true);
+		assert.strictEqual(isListedDomain("https://medium.com/a", ["*.medium.com"]), true);
+	});
+
+	it("matches nothing for an empty list", () => {
+		assert.strictEqual(isListedDomain("https://example.com", []), false);
+	});
+});
+
+describe("applyDomainLists", () => {
+	const results = [
+		{ url: "https://www.pinterest.com/pin/1" },
+		{ url: "https://w3schools.com/js" },
+		{ url: "https://stackoverflow.com/q/1" },
+		{ url: "https://developer.mozilla.org/en-US/docs/Web" },
+		{ url: "https://blog.medium.com/a" },
+		{ url: "https://docs.python.org/3/" },
+	];
+	const lists = {
+		blocked: ["pinterest.com"],
+		lowered: ["w3schools.com", "*.medium.com"],
+		boosted: ["developer.mozilla.org", "docs.python.org"],
+	};
+
+	it("removes blocked, raises boosted and sinks lowered domains", () => {
+		assert.deepStrictEqual(urls(applyDomainLists(results, lists)), [
+			"https://developer.mozilla.org/en-US/docs/Web",
+			"https://docs.python.org/3/",
+			"https://stackoverflow.com/q/1",
+			"https://w3schools.com/js",
+			"https://blog.medium.com/a",
+		]);
+	});
+
+	it("keeps the order when no lists are configured", () => {
+		const none = { blocked: [], lowered: [], boosted: [] };
+		assert.deepStrictEqual(urls(applyDomainLists(results, none)), urls(results));
+	});
+
+	it("lets boosting win over lowering", () => {
+		const both = { blocked: [], lowered: ["docs.python.org"], boosted: ["docs.python.org"] };
+		assert.strictEqual(applyDomainLists(results, both)[0].url, "https://docs.python.org/3/");
+	});
+
+	it("lets blocking win over boosting", () => {
+		const both = { blocked: ["docs.python.org"], lowered: [], boosted: ["docs.python.org"] };
+		assert.strictEqual(applyDomainLists(results, both).length, results.length - 1);
+	});
+});
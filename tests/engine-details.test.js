@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for engine summary and engine-restricted reruns
+ * Run with: node tests/engine-details.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// Extract invertEngineBangs function
+// eslint-disable-next-line no-eval
+const invertEngineBangs = eval(`(${extract("function invertEngineBangs(engineBangs)")})`);
+
+// Extract formatEngineSummary function
+// eslint-disable-next-line no-eval
+const formatEngineSummary = eval(`(${extract("function formatEngineSummary(result, engineShortcuts)")})`);
+
+// Extract withEngineBang function
+// eslint-disable-next-line no-eval
+const withEngineBang = eval(`(${extract("function withEngineBang(query, bang, engineBangs)")})`);
+
+const ENGINE_BANGS = {
+	"!ddg": "duckduckgo",
+	"!br": "brave",
+	"!wp": "wikipedia",
+	"!wikipedia": "wikipedia",
+};
+
+describe("invertEngineBangs", () => {
+	it("maps engine names to their bang", () => {
+		const shortcuts = invertEngineBangs(ENGINE_BANGS);
+		assert.strictEqual(shortcuts.duckduckgo, "!ddg");
+		assert.strictEqual(shortcuts.brave, "!br");
+	});
+
+	it("prefers the shortest bang", () => {
+		assert.strictEqual(invertEngineBangs(ENGINE_BANGS).wikipedia, "!wp");
+	});
+});
+
+describe("formatEngineSummary", () => {
+	const shortcuts = invertEngineBangs(ENGINE_BANGS);
+
+	it("joins engine shortcuts and shows the score", () => {
+		const result = { engines: ["duckduckgo", "brave", "wikipedia"], engine: "duckduckgo", score: 3.24 };
+		assert.strictEqual(formatEngineSummary(result, shortcuts), "ddg+br+wp · 3.2");
+	});
+
+	it("uses engine names without a shortcut", () => {
+		const result = { engines: ["mojeek"], score: 1 };
+		assert.strictEqual(formatEngineSummary(result, shortcuts), "mojeek · 1.0");
+	});
+
+	it("falls back to the primary engine", () => {
+		assert.strictEqual(formatEngineSummary({ engine: "brave" }, shortcuts), "br");
+	});
+
+	it("returns empty string without engine info", () => {
+		assert.strictEqual(formatEngineSummary({}, shortcuts), "");
+	});
+});
+
+describe("withEngineBang", () => {
+	it("appends the engine bang", () => {
+		assert.strictEqual(withEngineBang("rust ownership", "!wp", ENGINE_BANGS), "rust ownership !wp");
+	});
+
+	it("keeps other bangs and language modifiers", () => {
+		assert.strictEqual(withEngineBang("!n rust :de", "!wp", ENGINE_BANGS), "!n rust :de !wp");
+	});
+
+	it("replaces other engine bangs, case-insensitively", () => {
+		assert.strictEqual(withEngineBang("rust !DDG !br", "!wp", ENGINE_BANGS), "rust !wp");
+	});
+
+	it("drops page bangs", () => {
+		assert.strictEqual(withEngineBang("rust !p3", "!ddg", ENGINE_BANGS), "rust !ddg");
+	});
+
+	it("keeps words that are inherited object keys", () => {
+		assert.strictEqual(
+			withEngineBang("javascript constructor toString", "!wp", ENGINE_BANGS),
+			"javascript constructor toString !wp"
+		);
+	});
+});
@@ -0,0 +1,44 @@
+/**
+ * Shared helpers for extracting code from scripts/search.js in tests.
+ * search.js is a JXA script, not a module, so tests pull the pure functions
+ * and constants they need out of its source and evaluate them together.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const searchJs = fs.readFileSync(
+	path.join(__dirname, "../scripts/search.js"),
+	"utf-8"
+);
+
+/**
+ * Extract a top-level function by its exact signature
+ * (e.g. "function extractDomain(url)").
+ * @param {string} signature - Function signature as written in search.js
+ * @returns {string} Function source
+ */
+function extract(signature) {
+	const escaped = signature.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+	const match = searchJs.match(new RegExp(`${escaped} \\{[\\s\\S]*?\\n\\}`));
+	if (!match) {
+		throw new Error(`Could not find ${signature} in search.js`);
+	}
+	return match[0];
+}
+
+/**
+ * Extract a top-level constant: an object or array spanning several lines
+ * (e.g. "TRACKING_PARAMS") or a one-line value (e.g. "MAX_RESULT_PAGE").
+ * @param {string} name - Constant name
+ * @returns {string} Constant declaration source
+ */
+function extractConst(name) {
+	const match = searchJs.match(new RegExp(`const ${name} = (?:[\\[{]\\n[\\s\\S]*?\\n[\\]}]|[^\\n]*);`));
+	if (!match) {
+		throw new Error(`Could not find ${name} in search.js`);
+	}
+	return match[0];
+}
+
+module.exports = { searchJs, extract, extractConst };
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for privacy front-end rewriting
+ * Run with: node tests/frontend-rewrites.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// eslint-disable-next-line no-eval
+const helpers = eval(`(() => {
+	${extract("function extractDomain(url)")}
+	${extract("function domainMatches(domain, pattern)")}
+	${extract("function parseFrontendRewrites(text)")}
+	${extract("function rewriteFrontendUrl(url, rewrites)")}
+	return { parseFrontendRewrites, rewriteFrontendUrl };
+})()`);
+const { parseFrontendRewrites, rewriteFrontendUrl } = helpers;
+
+const REWRITES = parseFrontendRewrites(
+	[
+		"# privacy front-ends",
+		"*.youtube.com = https://yewtu.be",
+		"youtu.be = https://yewtu.be",
+		"*.reddit.com = https://safereddit.com/",
+		"x.com = https://nitter.net",
+		"*.medium.com = https://scribe.rip",
+	].join("\n")
+);
+
+describe("parseFrontendRewrites", () => {
+	it("parses domain = front-end rules", () => {
+		assert.deepStrictEqual(parseFrontendRewrites("*.YouTube.com = https://yewtu.be/\nx.com=https://nitter.net"), [
+			{ pattern: "*.youtube.com", target: "https://yewtu.be" },
+			{ pattern: "x.com", target: "https://nitter.net" },
+		]);
+	});
+
+	it("ignores comments and malformed lines", () => {
+		assert.deepStrictEqual(parseFrontendRewrites("# off\nyoutube.com\nreddit.com = redlib\n"), []);
+		assert.deepStrictEqual(parseFrontendRewrites(undefined), []);
+	});
+});
+
+describe("rewriteFrontendUrl", () => {
+	it("keeps path, query and fragment", () => {
+		assert.strictEqual(
+			rewriteFrontendUrl("https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42#c", REWRITES),
+			"https://yewtu.be/watch?v=dQw4w9WgXcQ&t=42#c"
+		);
+		assert.strictEqual(
+			rewriteFrontendUrl("https://old.reddit.com/r/rust/comments/1/x/", REWRITES),
+			"https://safereddit.com/r/rust/comments/1/x/"
+		);
+		assert.strictEqual(rewriteFrontendUrl("https://youtu.be/dQw4w9WgXcQ", REWRITES), "https://yewtu.be/dQw4w9WgXcQ");
+	});
+
+	it("rewrites bare domains", () => {
+		assert.strictEqual(rewriteFrontendUrl("https://x.com", REWRITES), "https://nitter.net");
+		assert.strictEqual(rewriteFrontendUrl("https://medium.com/@a/post-1", REWRITES), "https://scribe.rip/@a/post-1");
+	});
+
+	it("leaves other domains alone", () => {
+		assert.strictEqual(rewriteFrontendUrl("https://example.com/a", REWRITES), "https://example.com/a");
+		assert.strictEqual(rewriteFrontendUrl("https://notx.com/a", REWRITES), "https://notx.com/a");
+	});
+
+	it("does nothing without rules", () => {
+		assert.strictEqual(rewriteFrontendUrl("https://www.youtube.com/watch?v=x", []), "https://www.youtube.com/watch?v=x");
+	});
+});
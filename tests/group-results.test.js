@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for groupResultsByCategory function
+ * Run with: node tests/group-results.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// Extract groupResultsByCategory function from search.js
+// eslint-disable-next-line no-eval
+const groupResultsByCategory = eval(`(${extract("function groupResultsByCategory(results, categories)")})`);
+
+const img1 = { url: "https://a.example/1.jpg", category: "images" };
+const img2 = { url: "https://a.example/2.jpg", category: "images" };
+const vid1 = { url: "https://v.example/1", category: "videos" };
+const web1 = { url: "https://w.example/", category: "general" };
+const bare = { url: "https://n.example/" };
+
+describe("groupResultsByCategory", () => {
+	it("groups results in requested category order", () => {
+		const groups = groupResultsByCategory([vid1, img1, img2], ["images", "videos"]);
+		assert.deepStrictEqual(groups, [
+			{ category: "images", results: [img1, img2] },
+			{ category: "videos", results: [vid1] },
+		]);
+	});
+
+	it("keeps SearXNG order within a group", () => {
+		const groups = groupResultsByCategory([img2, img1], ["images"]);
+		assert.deepStrictEqual(groups[0].results, [img2, img1]);
+	});
+
+	it("collects unrequested and missing categories in a trailing other group", () => {
+		const groups = groupResultsByCategory([web1, img1, bare], ["images", "videos"]);
+		assert.deepStrictEqual(groups, [
+			{ category: "images", results: [img1] },
+			{ category: "other", results: [web1, bare] },
+		]);
+	});
+
+	it("drops empty groups", () => {
+		const groups = groupResultsByCategory([img1], ["images", "videos"]);
+		assert.strictEqual(groups.length, 1);
+		assert.strictEqual(groups[0].category, "images");
+	});
+
+	it("returns empty array for no results", () => {
+		assert.deepStrictEqual(groupResultsByCategory([], ["images", "videos"]), []);
+	});
+});
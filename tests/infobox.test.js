@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for infobox helpers
+ * Run with: node tests/infobox.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// eslint-disable-next-line no-eval
+const helpers = eval(`(() => {
+	${extract("function extractDomain(url)")}
+	${extract("function truncate(text, maxLength)")}
+	${extract("function pickInfoboxUrls(infobox)")}
+	${extract("function formatInfoboxLargeType(infobox)")}
+	${extract("function infoboxToAlfredItem(infobox, searchUrl, iconPath)")}
+	${extract("function hashString(str)")}
+	${extract("function normalizeImageUrl(imageUrl)")}
+	return { pickInfoboxUrls, formatInfoboxLargeType, infoboxToAlfredItem, hashString, normalizeImageUrl };
+})()`);
+const { pickInfoboxUrls, formatInfoboxLargeType, infoboxToAlfredItem, hashString, normalizeImageUrl } = helpers;
+
+const SEARCH_URL = "https://search.example.com/search?q=rust";
+
+const RUST_INFOBOX = {
+	infobox: "Rust",
+	id: "https://en.wikipedia.org/wiki/Rust_(programming_language)",
+	content: "Rust is a general-purpose programming language.",
+	img_src: "//upload.wikimedia.org/rust-logo.png",
+	urls: [
+		{ title: "Official website", url: "https://www.rust-lang.org/", official: true },
+		{ title: "Wikipedia (en)", url: "https://en.wikipedia.org/wiki/Rust_(programming_language)" },
+		{ title: "Wikidata", url: "https://www.wikidata.org/wiki/Q575650" },
+	],
+	attributes: [
+		{ label: "Designed by", value: "Graydon Hoare" },
+		{ label: "First appeared", value: "2015" },
+		{ label: "Logo", image: { src: "https://example.com/logo.png" } },
+	],
+};
+
+describe("pickInfoboxUrls", () => {
+	it("picks links by role", () => {
+		assert.deepStrictEqual(pickInfoboxUrls(RUST_INFOBOX), {
+			primary: "https://en.wikipedia.org/wiki/Rust_(programming_language)",
+			official: "https://www.rust-lang.org/",
+			wikipedia: "https://en.wikipedia.org/wiki/Rust_(programming_language)",
+			wikidata: "https://www.wikidata.org/wiki/Q575650",
+		});
+	});
+
+	it("recognizes the official website by title", () => {
+		const urls = pickInfoboxUrls({ urls: [{ title: "Official website", url: "https://example.org" }] });
+		assert.strictEqual(urls.official, "https://example.org");
+	});
+
+	it("falls back to the infobox id, then the first link", () => {
+		assert.strictEqual(
+			pickInfoboxUrls({ id: "https://www.wikidata.org/wiki/Q1", urls: [] }).primary,
+			"https://www.wikidata.org/wiki/Q1"
+		);
+		assert.strictEqual(
+			pickInfoboxUrls({ id: "not-a-url", urls: [{ title: "Home", url: "https://example.org" }] }).primary,
+			"https://example.org"
+		);
+	});
+
+	it("handles missing urls", () => {
+		assert.deepStrictEqual(pickInfoboxUrls({}), {
+			primary: null,
+			official: null,
+			wikipedia: null,
+			wikidata: null,
+		});
+	});
+});
+
+describe("formatInfoboxLargeType", () => {
+	it("lists description, attributes and links", () => {
+		assert.strictEqual(
+			formatInfoboxLargeType(RUST_INFOBOX),
+			[
+				"Rust",
+				"Rust is a general-purpose programming language.",
+				"Designed by: Graydon Hoare\nFirst appeared: 2015",
+				"Official website: https://www.rust-lang.org/\n" +
+					"Wikipedia (en): https://en.wikipedia.org/wiki/Rust_(programming_language)\n" +
+					"Wikidata: https://www.wikidata.org/wiki/Q575650",
+			].join("\n\n")
+		);
+	});
+
+	it("shows just the name for a bare infobox", () => {
+		assert.strictEqual(formatInfoboxLargeType({ infobox: "Rust" }), "Rust");
+	});
+});
+
+describe("infoboxToAlfredItem", () => {
+	it("opens the article on Enter and shows the image", () => {
+		const item = infoboxToAlfredItem(RUST_INFOBOX, SEARCH_URL, "/cache/images/abc.png");
+		assert.strictEqual(item.title, "Rust");
+		assert.strictEqual(item.arg, "https://en.wikipedia.org/wiki/Rust_(programming_language)");
+		assert.strictEqual(item.icon.path, "/cache/images/abc.png");
+		assert.strictEqual(item.subtitle, "Rust is a general-purpose programming language.");
+	});
+
+	it("offers official website and Wikidata as modifiers", () => {
+		const item = infoboxToAlfredItem(RUST_INFOBOX, SEARCH_URL, null);
+		assert.strictEqual(item.mods.cmd.arg, "https://www.rust-lang.org/");
+		assert.strictEqual(item.mods.ctrl.arg, "https://www.wikidata.org/wiki/Q575650");
+		assert.strictEqual(item.mods.alt.arg, SEARCH_URL);
+	});
+
+	it("disables modifiers for missing links", () => {
+		const item = infoboxToAlfredItem({ infobox: "Thing" }, SEARCH_URL, null);
+		assert.strictEqual(item.arg, SEARCH_URL);
+		assert.strictEqual(item.mods.cmd.valid, false);
+		assert.strictEqual(item.mods.ctrl.valid, false);
+		assert.strictEqual(item.icon.path, "icon.png");
+	});
+});
+
+describe("image cache helpers", () => {
+	it("hashes strings to stable 8-character keys", () => {
+		assert.strictEqual(hashString(""), "811c9dc5");
+		assert.strictEqual(hashString("a"), "e40c292c");
+		assert.notStrictEqual(hashString("https://a.example/1.png"), hashString("https://a.example/2.png"));
+	});
+
+	it("normalizes protocol-relative image URLs", () => {
+		assert.strictEqual(normalizeImageUrl("//upload.wikimedia.org/a.png"), "https://upload.wikimedia.org/a.png");
+		assert.strictEqual(normalizeImageUrl("https://example.com/a.png"), "https://example.com/a.png");
+	});
+
+	it("rejects unusable image URLs", () => {
+		assert.strictEqual(normalizeImageUrl(undefined), null);
+		assert.strictEqual(normalizeImageUrl(""), null);
+		assert.strictEqual(normalizeImageUrl("data:image/png;base64,AAA"), null);
+	});
+});
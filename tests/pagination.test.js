@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for pagination helpers
+ * Run with: node tests/pagination.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract, extractConst } = require("./extract");
+
+// Extract mergeResultPages function
+// eslint-disable-next-line no-eval
+const mergeResultPages = eval(`(${extract("function mergeResultPages(pages)")})`);
+
+// Extract withPageBang function
+// withPageBang caps pages at MAX_RESULT_PAGE, so evaluate them together
+// eslint-disable-next-line no-eval
+const withPageBang = eval(`${extractConst("MAX_RESULT_PAGE")}\n(${extract("function withPageBang(query, page)")})`);
+
+// Extract moreResultsItem function (uses withPageBang)
+// eslint-disable-next-line no-eval
+const moreResultsItem = eval(`(${extract("function moreResultsItem(query, nextPage)")})`);
+
+describe("mergeResultPages", () => {
+	const a = { url: "https://a.example/" };
+	const b = { url: "https://b.example/" };
+	const c = { url: "https://c.example/" };
+
+	it("returns a single page unchanged", () => {
+		assert.deepStrictEqual(mergeResultPages([[a, b]]), [a, b]);
+	});
+
+	it("appends later pages after earlier ones", () => {
+		assert.deepStrictEqual(mergeResultPages([[a], [b, c]]), [a, b, c]);
+	});
+
+	it("drops results already shown on an earlier page", () => {
+		const bAgain = { url: "https://b.example/", title: "B again" };
+		assert.deepStrictEqual(mergeResultPages([[a, b], [bAgain, c]]), [a, b, c]);
+	});
+
+	it("skips results without URL", () => {
+		assert.deepStrictEqual(mergeResultPages([[a, { title: "no url" }, null]]), [a]);
+	});
+
+	it("returns empty array for no pages", () => {
+		assert.deepStrictEqual(mergeResultPages([]), []);
+	});
+});
+
+describe("withPageBang", () => {
+	it("appends page bang to plain query", () => {
+		assert.strictEqual(withPageBang("rust", 2), "rust !p2");
+	});
+
+	it("keeps other bangs", () => {
+		assert.strictEqual(withPageBang("!n rust :de", 2), "!n rust :de !p2");
+	});
+
+	it("replaces an existing page bang", () => {
+		assert.strictEqual(withPageBang("rust !p2", 3), "rust !p3");
+	});
+
+	it("replaces a page bang in the middle of the query", () => {
+		assert.strictEqual(withPageBang("!p2 rust", 3), "rust !p3");
+	});
+
+	it("handles query that is only a page bang", () => {
+		assert.strictEqual(withPageBang("!p2", 3), "!p3");
+	});
+
+	it("replaces three-digit page bangs", () => {
+		assert.strictEqual(withPageBang("rust !p100", 3), "rust !p3");
+	});
+
+	it("caps the page at MAX_RESULT_PAGE", () => {
+		assert.strictEqual(withPageBang("rust !p10", 11), "rust !p10");
+	});
+});
+
+describe("moreResultsItem", () => {
+	it("names the page to load", () => {
+		const item = moreResultsItem("rust", 2);
+		assert.strictEqual(item.title, "More results (page 2)");
+	});
+
+	it("autocompletes the query with the page bang", () => {
+		const item = moreResultsItem("!n rust", 2);
+		assert.strictEqual(item.autocomplete, "!n rust !p2");
+	});
+
+	it("is not valid so Enter reruns the search", () => {
+		const item = moreResultsItem("rust", 2);
+		assert.strictEqual(item.valid, false);
+	});
+});
+
+describe("loadEarlierPages", () => {
+	// The result page cache and HTTP helpers are stubbed; loadEarlierPages sees these bindings
+	const SEARCH_URL = "https://search.example.com/search?q=rust&format=json";
+	let cachedPages = null;
+	let saved = [];
+	let requests = [];
+	let respond = () => ({ success: false });
+	/* eslint-disable no-unused-vars */
+	const getResultPagesPath = () => "/data/result_pages.json";
+	const readJsonFile = () => cachedPages;
+	const savePageResults = (searchUrl, page) => saved.push(page);
+	const httpGet = (url, timeoutSecs) => {
+		requests.push({ page: Number(url.match(/pageno=(\d+)/)[1]), timeoutSecs });
+		return respond(url);
+	};
+	/* eslint-enable no-unused-vars */
+	// eslint-disable-next-line no-eval
+	const loadEarlierPages = eval(
+		`${extractConst("RESULT_PAGES_TTL_SECONDS")}\n(${extract("function loadEarlierPages(searchUrl, page, timeoutSecs)")})`
+	);
+
+	const reset = (pages, handler) => {
+		cachedPages = pages ? { searchUrl: SEARCH_URL, savedAt: Date.now(), pages } : null;
+		saved = [];
+		requests = [];
+		respond = handler;
+	};
+	const page = (n) => ({ success: true, data: JSON.stringify({ results: [{ url: `https://p${n}.example/` }] }) });
+
+	it("reuses cached pages and fetches the missing ones", () => {
+		reset({ 1: [{ url: "https://p1.example/" }] }, (url) => page(Number(url.match(/pageno=(\d+)/)[1])));
+		const earlier = loadEarlierPages(SEARCH_URL, 4, 5);
+		assert.deepStrictEqual(earlier.map((results) => results[0].url), [
+			"https://p1.example/",
+			"https://p2.example/",
+			"https://p3.example/",
+		]);
+		assert.deepStrictEqual(requests.map((r) => r.page), [2, 3]);
+		assert.deepStrictEqual(saved, [2, 3]);
+	});
+
+	it("stops at the first page that fails to load", () => {
+		reset(null, (url) => (url.endsWith("pageno=2") ? { success: false, error: "timeout" } : page(1)));
+		const earlier = loadEarlierPages(SEARCH_URL, 10, 5);
+		assert.strictEqual(earlier.length, 1);
+		assert.deepStrictEqual(requests.map((r) => r.page), [1, 2]);
+		assert.deepStrictEqual(saved, [1]);
+	});
+
+	it("stops at an invalid page", () => {
+		reset(null, () => ({ success: true, data: "<html>Too many requests</html>" }));
+		assert.deepStrictEqual(loadEarlierPages(SEARCH_URL, 5, 5), []);
+		assert.strictEqual(requests.length, 1);
+	});
+
+	it("shares one timeout between all fetched pages", () => {
+		reset(null, (url) => {
+			const start = Date.now();
+			while (Date.now() - start < 600) {
+				/* a slow page */
+			}
+			return page(Number(url.match(/pageno=(\d+)/)[1]));
+		});
+		const earlier = loadEarlierPages(SEARCH_URL, 10, 1);
+		assert.ok(earlier.length < 9);
+		assert.ok(requests.every((r) => r.timeoutSecs === 1));
+		assert.strictEqual(requests.length, 2);
+	});
+});
@@ -3,15 +3,19 @@
  * Unit tests for parseBangs function
  * Run with: node tests/parse-bangs.test.js
  *
- * parseBangs extracts category and time range modifiers from search queries.
- * Category bangs: !i/!images (images), !n/!news (news), !v/!videos (videos), !maps (maps)
+ * parseBangs extracts category, time range, engine and language modifiers from search queries.
+ * Category bangs: !i/!images (images), !n/!news (news), !v/!videos (videos), !maps (maps),
+ * !sci/!science (science), !it (it)
  * Time range bangs: !d (day), !w (week), !m (month), !y (year)
+ * Safe search bangs: !nosafe (0), !safe (1), !strict (2)
+ * Engine bangs: !wp (wikipedia), !gh (github), !ddg (duckduckgo), ...
+ * Language modifiers: :en, :de-CH, ...
+ * Page bangs: !p2, !p3, ...
  */
 
 const assert = require("node:assert");
 const { describe, it } = require("node:test");
-const fs = require("node:fs");
-const path = require("node:path");
+const { extract, extractConst } = require("./extract");
 
 // Extract parseBangs function from search.js via regex.
 // NOTE: This extraction approach is fragile - it depends on the function ending
@@ -20,30 +24,27 @@ const path = require("node:path");
 // trade-off for testing pure functions in a JXA codebase that can't use ES modules.
 // Future refactor: move parseBangs to a standalone module that both search.js
 // and tests can import directly. See CLAUDE.md "Future Structure" section.
-const searchJs = fs.readFileSync(
-	path.join(__dirname, "../scripts/search.js"),
-	"utf-8"
-);
-const parseBangsMatch = searchJs.match(
-	/function parseBangs\(query\) \{[\s\S]*?\n\}/
-);
-if (!parseBangsMatch) {
-	throw new Error("Could not find parseBangs function in search.js");
-}
+// parseBangs defaults to the built-in vocabulary and normalizes and checks
+// languages with parseLanguage and isKnownLanguage, so evaluate them together
 // eslint-disable-next-line no-eval
-const parseBangs = eval(`(${parseBangsMatch[0]})`);
+const parseBangs = eval(
+	`${extractConst("BUILTIN_LANGUAGES")}\n${extract("function isKnownLanguage(code, languages)")}\n` +
+		`${extractConst("MAX_RESULT_PAGE")}\n` +
+		`${extractConst("BUILTIN_BANGS")}\n${extract("function parseLanguage(value)")}\n` +
+		`(${extract("function parseBangs(query, bangs = BUILTIN_BANGS)")})`
+);
 
 describe("parseBangs", () => {
 	describe("category bangs - images", () => {
 		it("parses !i for images", () => {
 			const result = parseBangs("!i cats");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "cats");
 		});
 
 		it("parses !images for images", () => {
 			const result = parseBangs("!images cats");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "cats");
 		});
 	});
@@ -51,13 +52,13 @@ describe("parseBangs", () => {
 	describe("category bangs - news", () => {
 		it("parses !n for news", () => {
 			const result = parseBangs("!n elections");
-			assert.strictEqual(result.category, "news");
+			assert.deepStrictEqual(result.categories, ["news"]);
 			assert.strictEqual(result.query, "elections");
 		});
 
 		it("parses !news for news", () => {
 			const result = parseBangs("!news elections");
-			assert.strictEqual(result.category, "news");
+			assert.deepStrictEqual(result.categories, ["news"]);
 			assert.strictEqual(result.query, "elections");
 		});
 	});
@@ -65,13 +66,13 @@ describe("parseBangs", () => {
 	describe("category bangs - videos", () => {
 		it("parses !v for videos", () => {
 			const result = parseBangs("!v tutorial");
-			assert.strictEqual(result.category, "videos");
+			assert.deepStrictEqual(result.categories, ["videos"]);
 			assert.strictEqual(result.query, "tutorial");
 		});
 
 		it("parses !videos for videos", () => {
 			const result = parseBangs("!videos tutorial");
-			assert.strictEqual(result.category, "videos");
+			assert.deepStrictEqual(result.categories, ["videos"]);
 			assert.strictEqual(result.query, "tutorial");
 		});
 	});
@@ -79,11 +80,33 @@ describe("parseBangs", () => {
 	describe("category bangs - maps", () => {
 		it("parses !maps for maps (no short form)", () => {
 			const result = parseBangs("!maps coffee shops");
-			assert.strictEqual(result.category, "maps");
+			assert.deepStrictEqual(result.categories, ["maps"]);
 			assert.strictEqual(result.query, "coffee shops");
 		});
 	});
 
+	describe("category bangs - it", () => {
+		it("parses !it for it", () => {
+			const result = parseBangs("!it left-pad");
+			assert.deepStrictEqual(result.categories, ["it"]);
+			assert.strictEqual(result.query, "left-pad");
+		});
+	});
+
+	describe("category bangs - science", () => {
+		it("parses !sci for science", () => {
+			const result = parseBangs("!sci attention is all you need");
+			assert.deepStrictEqual(result.categories, ["science"]);
+			assert.strictEqual(result.query, "attention is all you need");
+		});
+
+		it("parses !science for science", () => {
+			const result = parseBangs("transformers !science");
+			assert.deepStrictEqual(result.categories, ["science"]);
+			assert.strictEqual(result.query, "transformers");
+		});
+	});
+
 	describe("time range bangs", () => {
 		it("parses !d for day time range", () => {
 			const result = parseBangs("!d breaking news");
@@ -110,24 +133,277 @@ describe("parseBangs", () => {
 		});
 	});
 
+	describe("safe search bangs", () => {
+		it("parses !nosafe as level 0", () => {
+			const result = parseBangs("!nosafe art");
+			assert.strictEqual(result.safeSearch, 0);
+			assert.strictEqual(result.query, "art");
+		});
+
+		it("parses !safe as level 1", () => {
+			const result = parseBangs("!safe art");
+			assert.strictEqual(result.safeSearch, 1);
+			assert.strictEqual(result.query, "art");
+		});
+
+		it("parses !strict as level 2", () => {
+			const result = parseBangs("art !STRICT");
+			assert.strictEqual(result.safeSearch, 2);
+			assert.strictEqual(result.query, "art");
+		});
+
+		it("does not confuse !safe with !nosafe", () => {
+			const result = parseBangs("!nosafe !i art");
+			assert.strictEqual(result.safeSearch, 0);
+			assert.deepStrictEqual(result.categories, ["images"]);
+			assert.strictEqual(result.query, "art");
+		});
+
+		it("returns undefined when no safe search bang present", () => {
+			const result = parseBangs("art");
+			assert.strictEqual(result.safeSearch, undefined);
+		});
+	});
+
+	describe("sort bangs", () => {
+		it("parses !new as newest first", () => {
+			const result = parseBangs("!new !n election");
+			assert.strictEqual(result.sort, "date");
+			assert.deepStrictEqual(result.categories, ["news"]);
+			assert.strictEqual(result.query, "election");
+		});
+
+		it("does not confuse !new with !news", () => {
+			const result = parseBangs("!news election");
+			assert.strictEqual(result.sort, undefined);
+			assert.deepStrictEqual(result.categories, ["news"]);
+		});
+
+		it("returns undefined when no sort bang present", () => {
+			assert.strictEqual(parseBangs("election").sort, undefined);
+		});
+	});
+
+	describe("engine bangs", () => {
+		it("parses !wp for wikipedia", () => {
+			const result = parseBangs("!wp rust");
+			assert.deepStrictEqual(result.engines, ["wikipedia"]);
+			assert.strictEqual(result.query, "rust");
+		});
+
+		it("parses !gh for github", () => {
+			const result = parseBangs("!gh alfred workflow");
+			assert.deepStrictEqual(result.engines, ["github"]);
+			assert.strictEqual(result.query, "alfred workflow");
+		});
+
+		it("parses !ddg for duckduckgo", () => {
+			const result = parseBangs("privacy !ddg");
+			assert.deepStrictEqual(result.engines, ["duckduckgo"]);
+			assert.strictEqual(result.query, "privacy");
+		});
+
+		it("collects several engine bangs", () => {
+			const result = parseBangs("!wp !gh rust");
+			assert.deepStrictEqual(result.engines, ["wikipedia", "github"]);
+			assert.strictEqual(result.query, "rust");
+		});
+
+		it("does not duplicate repeated engine bangs", () => {
+			const result = parseBangs("!wp rust !WP");
+			assert.deepStrictEqual(result.engines, ["wikipedia"]);
+			assert.strictEqual(result.query, "rust");
+		});
+
+		it("combines engine bangs with category and time range", () => {
+			const result = parseBangs("!n !d !ddg election");
+			assert.deepStrictEqual(result.categories, ["news"]);
+			assert.strictEqual(result.timeRange, "day");
+			assert.deepStrictEqual(result.engines, ["duckduckgo"]);
+			assert.strictEqual(result.query, "election");
+		});
+
+		it("does not match engine bang inside a word", () => {
+			const result = parseBangs("foo!wp bar");
+			assert.deepStrictEqual(result.engines, []);
+			assert.strictEqual(result.query, "foo!wp bar");
+		});
+	});
+
+	describe("language modifiers", () => {
+		it("parses :en", () => {
+			const result = parseBangs(":en rust");
+			assert.strictEqual(result.language, "en");
+			assert.strictEqual(result.query, "rust");
+		});
+
+		it("parses region variant and normalizes case", () => {
+			const result = parseBangs("fondue :de-ch");
+			assert.strictEqual(result.language, "de-CH");
+			assert.strictEqual(result.query, "fondue");
+		});
+
+		it("parses :auto", () => {
+			const result = parseBangs(":auto news");
+			assert.strictEqual(result.language, "auto");
+			assert.strictEqual(result.query, "news");
+		});
+
+		it("last language modifier wins", () => {
+			const result = parseBangs(":en :fr croissant");
+			assert.strictEqual(result.language, "fr");
+			assert.strictEqual(result.query, "croissant");
+		});
+
+		it("combines with bangs", () => {
+			const result = parseBangs("!n :de !d wahl");
+			assert.deepStrictEqual(result.categories, ["news"]);
+			assert.strictEqual(result.timeRange, "day");
+			assert.strictEqual(result.language, "de");
+			assert.strictEqual(result.query, "wahl");
+		});
+
+		it("ignores colons inside words", () => {
+			const result = parseBangs("std::vector");
+			assert.strictEqual(result.language, undefined);
+			assert.strictEqual(result.query, "std::vector");
+		});
+
+		it("ignores colon tokens that are not language codes", () => {
+			const result = parseBangs("meeting at :30 :english");
+			assert.strictEqual(result.language, undefined);
+			assert.strictEqual(result.query, "meeting at :30 :english");
+		});
+
+		it("keeps unknown codes like :wq in the query", () => {
+			const result = parseBangs("vim :wq save");
+			assert.strictEqual(result.language, undefined);
+			assert.strictEqual(result.query, "vim :wq save");
+		});
+
+		it("keeps :not in the query", () => {
+			const result = parseBangs("regex :not selector");
+			assert.strictEqual(result.language, undefined);
+			assert.strictEqual(result.query, "regex :not selector");
+		});
+
+		it("parses known languages next to unknown codes", () => {
+			const result = parseBangs("vim :wq :de");
+			assert.strictEqual(result.language, "de");
+			assert.strictEqual(result.query, "vim :wq");
+		});
+	});
+
+	describe("page bangs", () => {
+		it("parses !p2 as page 2", () => {
+			const result = parseBangs("rust !p2");
+			assert.strictEqual(result.page, 2);
+			assert.strictEqual(result.query, "rust");
+		});
+
+		it("parses two-digit pages", () => {
+			const result = parseBangs("!p10 rust");
+			assert.strictEqual(result.page, 10);
+			assert.strictEqual(result.query, "rust");
+		});
+
+		it("caps pages at MAX_RESULT_PAGE", () => {
+			const result = parseBangs("!p12 rust");
+			assert.strictEqual(result.page, 10);
+			assert.strictEqual(result.query, "rust");
+		});
+
+		it("consumes three-digit page bangs", () => {
+			const result = parseBangs("rust !p100");
+			assert.strictEqual(result.page, 10);
+			assert.strictEqual(result.query, "rust");
+		});
+
+		it("treats !p0 as page 1", () => {
+			const result = parseBangs("rust !p0");
+			assert.strictEqual(result.page, 1);
+		});
+
+		it("last page bang wins", () => {
+			const result = parseBangs("rust !p2 !p3");
+			assert.strictEqual(result.page, 3);
+			assert.strictEqual(result.query, "rust");
+		});
+
+		it("keeps other bangs alongside the page bang", () => {
+			const result = parseBangs("!n rust !p2");
+			assert.deepStrictEqual(result.categories, ["news"]);
+			assert.strictEqual(result.page, 2);
+			assert.strictEqual(result.query, "rust");
+		});
+
+		it("ignores !p without a number", () => {
+			const result = parseBangs("!p rust");
+			assert.strictEqual(result.page, undefined);
+			assert.strictEqual(result.query, "!p rust");
+		});
+
+		it("returns undefined when no page bang present", () => {
+			assert.strictEqual(parseBangs("rust").page, undefined);
+		});
+	});
+
+	describe("custom vocabulary", () => {
+		const vocabulary = {
+			categories: { "!it": "it", "!social_media": "social media" },
+			timeRanges: { "!d": "day" },
+			safeSearch: {},
+			sortOrders: {},
+			engines: { "!c++": "cppreference", "!npm": "npm" },
+		};
+
+		it("uses categories from the given vocabulary", () => {
+			const result = parseBangs("!social_media cats", vocabulary);
+			assert.deepStrictEqual(result.categories, ["social media"]);
+			assert.strictEqual(result.query, "cats");
+		});
+
+		it("only accepts the given vocabulary's languages", () => {
+			const withLanguages = { ...vocabulary, languages: ["en", "fr"] };
+			assert.strictEqual(parseBangs("fondue :de", withLanguages).query, "fondue :de");
+			assert.strictEqual(parseBangs("croissant :fr-ca", withLanguages).language, "fr-CA");
+		});
+
+		it("falls back to built-in languages without a language list", () => {
+			assert.strictEqual(parseBangs("fondue :de", vocabulary).language, "de");
+		});
+
+		it("ignores built-in bangs missing from the given vocabulary", () => {
+			const result = parseBangs("!i cats", vocabulary);
+			assert.deepStrictEqual(result.categories, []);
+			assert.strictEqual(result.query, "!i cats");
+		});
+
+		it("escapes regex characters in instance shortcuts", () => {
+			const result = parseBangs("!c++ vector", vocabulary);
+			assert.deepStrictEqual(result.engines, ["cppreference"]);
+			assert.strictEqual(result.query, "vector");
+		});
+	});
+
 	describe("combined bangs - category and time range", () => {
 		it("parses category and time range together", () => {
 			const result = parseBangs("!n !d breaking story");
-			assert.strictEqual(result.category, "news");
+			assert.deepStrictEqual(result.categories, ["news"]);
 			assert.strictEqual(result.timeRange, "day");
 			assert.strictEqual(result.query, "breaking story");
 		});
 
 		it("parses time range before category", () => {
 			const result = parseBangs("!y !images landscape");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.timeRange, "year");
 			assert.strictEqual(result.query, "landscape");
 		});
 
 		it("parses bangs in reverse order", () => {
 			const result = parseBangs("!m !v documentary");
-			assert.strictEqual(result.category, "videos");
+			assert.deepStrictEqual(result.categories, ["videos"]);
 			assert.strictEqual(result.timeRange, "month");
 			assert.strictEqual(result.query, "documentary");
 		});
@@ -136,25 +412,25 @@ describe("parseBangs", () => {
 	describe("position flexibility", () => {
 		it("parses bang at start of query", () => {
 			const result = parseBangs("!i sunset photos");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "sunset photos");
 		});
 
 		it("parses bang at end of query", () => {
 			const result = parseBangs("sunset photos !i");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "sunset photos");
 		});
 
 		it("parses bang in middle of query", () => {
 			const result = parseBangs("sunset !i photos");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "sunset photos");
 		});
 
 		it("parses multiple bangs scattered in query", () => {
 			const result = parseBangs("latest !n technology !y updates");
-			assert.strictEqual(result.category, "news");
+			assert.deepStrictEqual(result.categories, ["news"]);
 			assert.strictEqual(result.timeRange, "year");
 			assert.strictEqual(result.query, "latest technology updates");
 		});
@@ -163,25 +439,25 @@ describe("parseBangs", () => {
 	describe("case insensitivity", () => {
 		it("parses uppercase !I for images", () => {
 			const result = parseBangs("!I mountains");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "mountains");
 		});
 
 		it("parses uppercase !IMAGES for images", () => {
 			const result = parseBangs("!IMAGES mountains");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "mountains");
 		});
 
 		it("parses mixed case !Images for images", () => {
 			const result = parseBangs("!Images mountains");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "mountains");
 		});
 
 		it("parses uppercase !N for news", () => {
 			const result = parseBangs("!N headlines");
-			assert.strictEqual(result.category, "news");
+			assert.deepStrictEqual(result.categories, ["news"]);
 			assert.strictEqual(result.query, "headlines");
 		});
 
@@ -196,21 +472,21 @@ describe("parseBangs", () => {
 	describe("unknown bangs", () => {
 		it("preserves unknown bang !foo in query", () => {
 			const result = parseBangs("!foo search term");
-			assert.strictEqual(result.category, undefined);
+			assert.deepStrictEqual(result.categories, []);
 			assert.strictEqual(result.timeRange, undefined);
 			assert.strictEqual(result.query, "!foo search term");
 		});
 
 		it("preserves unknown bang !g in query", () => {
 			const result = parseBangs("!g google search");
-			assert.strictEqual(result.category, undefined);
+			assert.deepStrictEqual(result.categories, []);
 			assert.strictEqual(result.timeRange, undefined);
 			assert.strictEqual(result.query, "!g google search");
 		});
 
 		it("processes known bang and preserves unknown bang", () => {
 			const result = parseBangs("!i !xyz test");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "!xyz test");
 		});
 	});
@@ -218,13 +494,13 @@ describe("parseBangs", () => {
 	describe("word boundary matching", () => {
 		it("does not match !i in the middle of a word like 'exciting'", () => {
 			const result = parseBangs("exciting news");
-			assert.strictEqual(result.category, undefined);
+			assert.deepStrictEqual(result.categories, []);
 			assert.strictEqual(result.query, "exciting news");
 		});
 
 		it("does not match !n in the middle of a word like 'inner'", () => {
 			const result = parseBangs("inner peace");
-			assert.strictEqual(result.category, undefined);
+			assert.deepStrictEqual(result.categories, []);
 			assert.strictEqual(result.query, "inner peace");
 		});
 
@@ -236,19 +512,19 @@ describe("parseBangs", () => {
 
 		it("does not match !v in the middle of a word like 'innovative'", () => {
 			const result = parseBangs("innovative ideas");
-			assert.strictEqual(result.category, undefined);
+			assert.deepStrictEqual(result.categories, []);
 			assert.strictEqual(result.query, "innovative ideas");
 		});
 
 		it("matches !i as standalone word at start", () => {
 			const result = parseBangs("!i exciting photos");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "exciting photos");
 		});
 
 		it("matches !i as standalone word after another word", () => {
 			const result = parseBangs("find !i exciting");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "find exciting");
 		});
 	});
@@ -256,14 +532,14 @@ describe("parseBangs", () => {
 	describe("edge cases - empty and minimal queries", () => {
 		it("handles empty query", () => {
 			const result = parseBangs("");
-			assert.strictEqual(result.category, undefined);
+			assert.deepStrictEqual(result.categories, []);
 			assert.strictEqual(result.timeRange, undefined);
 			assert.strictEqual(result.query, "");
 		});
 
 		it("handles query with only a category bang", () => {
 			const result = parseBangs("!i");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "");
 		});
 
@@ -275,48 +551,58 @@ describe("parseBangs", () => {
 
 		it("handles query with only category and time bangs", () => {
 			const result = parseBangs("!i !d");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.timeRange, "day");
 			assert.strictEqual(result.query, "");
 		});
 
 		it("handles query with no bangs", () => {
 			const result = parseBangs("regular search query");
-			assert.strictEqual(result.category, undefined);
+			assert.deepStrictEqual(result.categories, []);
 			assert.strictEqual(result.timeRange, undefined);
 			assert.strictEqual(result.query, "regular search query");
 		});
 
 		it("handles whitespace-only query", () => {
 			const result = parseBangs("   ");
-			assert.strictEqual(result.category, undefined);
+			assert.deepStrictEqual(result.categories, []);
 			assert.strictEqual(result.timeRange, undefined);
 			assert.strictEqual(result.query, "");
 		});
 	});
 
 	describe("edge cases - duplicate bangs", () => {
-		it("later-defined bang in categoryBangs wins when multiple present", () => {
+		it("collects all categories when multiple category bangs present", () => {
 			const result = parseBangs("!i !n search");
-			// The effective category is determined by iteration order of categoryBangs
-			// in parseBangs (see scripts/search.js). Since !n is defined after !i,
-			// and both match, !n's value ("news") becomes the final category.
-			// Note: "!n !i search" would also result in "news" for the same reason.
-			assert.strictEqual(result.category, "news");
+			assert.deepStrictEqual(result.categories, ["images", "news"]);
 			assert.strictEqual(result.query, "search");
 		});
 
+		it("orders categories by BUILTIN_BANGS, not by query position", () => {
+			// Categories are collected in iteration order of BUILTIN_BANGS.categories
+			// (see scripts/search.js), so "!v !i" lists images before videos.
+			const result = parseBangs("!v !i cats");
+			assert.deepStrictEqual(result.categories, ["images", "videos"]);
+			assert.strictEqual(result.query, "cats");
+		});
+
+		it("does not duplicate a category given by alias and full name", () => {
+			const result = parseBangs("!i !images cats");
+			assert.deepStrictEqual(result.categories, ["images"]);
+			assert.strictEqual(result.query, "cats");
+		});
+
 		it("later-defined bang in timeRangeBangs wins when multiple present", () => {
 			const result = parseBangs("!d !m search");
-			// The effective timeRange is determined by iteration order of timeRangeBangs
-			// in parseBangs. Since !m is defined after !d, !m's value wins.
+			// The effective timeRange is determined by iteration order of
+			// BUILTIN_BANGS.timeRanges. Since !m is defined after !d, !m's value wins.
 			assert.strictEqual(result.timeRange, "month");
 			assert.strictEqual(result.query, "search");
 		});
 
 		it("handles multiple duplicates of same bang", () => {
 			const result = parseBangs("!i !i cats");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "cats");
 		});
 	});
@@ -324,46 +610,56 @@ describe("parseBangs", () => {
 	describe("edge cases - special characters and formatting", () => {
 		it("handles query with special characters", () => {
 			const result = parseBangs("!n c++ programming");
-			assert.strictEqual(result.category, "news");
+			assert.deepStrictEqual(result.categories, ["news"]);
 			assert.strictEqual(result.query, "c++ programming");
 		});
 
 		it("handles query with numbers", () => {
 			const result = parseBangs("!i 2024 photos");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "2024 photos");
 		});
 
 		it("handles multiple spaces between words", () => {
 			const result = parseBangs("!i    multiple   spaces");
-			assert.strictEqual(result.category, "images");
+			assert.deepStrictEqual(result.categories, ["images"]);
 			assert.strictEqual(result.query, "multiple  spaces");
 		});
 
 		it("handles bang followed immediately by text (no match)", () => {
 			// "!images" is a valid bang, but "!imagesearch" is not
 			const result = parseBangs("!imagesearch query");
-			assert.strictEqual(result.category, undefined);
+			assert.deepStrictEqual(result.categories, []);
 			assert.strictEqual(result.query, "!imagesearch query");
 		});
 	});
 
 	describe("return structure", () => {
-		it("returns object with query, category, and timeRange properties", () => {
+		it("returns object with query, categories, and timeRange properties", () => {
 			const result = parseBangs("!i !d test");
 			assert.ok(Object.hasOwn(result, "query"));
-			assert.ok(Object.hasOwn(result, "category"));
+			assert.ok(Object.hasOwn(result, "categories"));
 			assert.ok(Object.hasOwn(result, "timeRange"));
 		});
 
-		it("returns undefined (not null) for unset category", () => {
+		it("returns empty array for unset categories", () => {
 			const result = parseBangs("test query");
-			assert.strictEqual(result.category, undefined);
+			assert.deepStrictEqual(result.categories, []);
 		});
 
 		it("returns undefined (not null) for unset timeRange", () => {
 			const result = parseBangs("test query");
 			assert.strictEqual(result.timeRange, undefined);
 		});
+
+		it("returns undefined for unset language", () => {
+			const result = parseBangs("test query");
+			assert.strictEqual(result.language, undefined);
+		});
+
+		it("returns empty array for unset engines", () => {
+			const result = parseBangs("test query");
+			assert.deepStrictEqual(result.engines, []);
+		});
 	});
 });
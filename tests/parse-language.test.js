@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for parseLanguage function
+ * Run with: node tests/parse-language.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// Extract parseLanguage function from search.js
+// eslint-disable-next-line no-eval
+const parseLanguage = eval(`(${extract("function parseLanguage(value)")})`);
+
+describe("parseLanguage", () => {
+	describe("valid codes", () => {
+		it("accepts two-letter code", () => {
+			assert.strictEqual(parseLanguage("en"), "en");
+		});
+
+		it("accepts leading colon as typed in queries", () => {
+			assert.strictEqual(parseLanguage(":fr"), "fr");
+		});
+
+		it("accepts three-letter code", () => {
+			assert.strictEqual(parseLanguage("fil"), "fil");
+		});
+
+		it("uppercases region subtag", () => {
+			assert.strictEqual(parseLanguage("de-ch"), "de-CH");
+		});
+
+		it("title-cases script subtag", () => {
+			assert.strictEqual(parseLanguage("zh-HANT"), "zh-Hant");
+		});
+
+		it("lowercases language subtag", () => {
+			assert.strictEqual(parseLanguage("EN-us"), "en-US");
+		});
+
+		it("accepts auto and all", () => {
+			assert.strictEqual(parseLanguage("auto"), "auto");
+			assert.strictEqual(parseLanguage("all"), "all");
+		});
+	});
+
+	describe("invalid codes", () => {
+		it("returns null for empty string", () => {
+			assert.strictEqual(parseLanguage(""), null);
+		});
+
+		it("returns null for undefined", () => {
+			assert.strictEqual(parseLanguage(undefined), null);
+		});
+
+		it("returns null for full language name", () => {
+			assert.strictEqual(parseLanguage("english"), null);
+		});
+
+		it("returns null for digits", () => {
+			assert.strictEqual(parseLanguage(":30"), null);
+		});
+
+		it("returns null for malformed subtag", () => {
+			assert.strictEqual(parseLanguage("de-c"), null);
+		});
+	});
+});
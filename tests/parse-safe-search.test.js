@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for parseSafeSearch function
+ * Run with: node tests/parse-safe-search.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract } = require("./extract");
+
+// Extract parseSafeSearch function from search.js
+// eslint-disable-next-line no-eval
+const parseSafeSearch = eval(`(${extract("function parseSafeSearch(value)")})`);
+
+describe("parseSafeSearch", () => {
+	it("parses '0' as off", () => {
+		assert.strictEqual(parseSafeSearch("0"), 0);
+	});
+
+	it("parses '1' as moderate", () => {
+		assert.strictEqual(parseSafeSearch("1"), 1);
+	});
+
+	it("parses '2' as strict", () => {
+		assert.strictEqual(parseSafeSearch("2"), 2);
+	});
+
+	it("returns undefined for empty string (instance default)", () => {
+		assert.strictEqual(parseSafeSearch(""), undefined);
+	});
+
+	it("returns undefined for out-of-range level", () => {
+		assert.strictEqual(parseSafeSearch("3"), undefined);
+	});
+
+	it("returns undefined for non-numeric value", () => {
+		assert.strictEqual(parseSafeSearch("strict"), undefined);
+	});
+});
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for "search within this site" and "more like this" reruns
+ * Run with: node tests/refine-actions.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract, extractConst } = require("./extract");
+
+// eslint-disable-next-line no-eval
+const helpers = eval(`(() => {
+	${extract("function extractDomain(url)")}
+	${extractConst("BUILTIN_LANGUAGES")}
+	${extract("function isKnownLanguage(code, languages)")}
+	${extract("function parseLanguage(value)")}
+	${extract("function replaceQueryText(query, text, languages = BUILTIN_LANGUAGES)")}
+	${extract("function withSiteFilter(query, domain)")}
+	${extract("function titleQuery(query, title, languages)")}
+	${extract("function addRefineActions(item, result, rawQuery, languages)")}
+	return { withSiteFilter, titleQuery, addRefineActions };
+})()`);
+const { withSiteFilter, titleQuery, addRefineActions } = helpers;
+
+describe("withSiteFilter", () => {
+	it("appends the site filter and keeps bangs", () => {
+		assert.strictEqual(withSiteFilter("rust async !n !w", "blog.rust-lang.org"), "rust async !n !w site:blog.rust-lang.org");
+	});
+
+	it("replaces an existing site filter and drops page bangs", () => {
+		assert.strictEqual(withSiteFilter("rust site:Example.com !p2", "docs.rs"), "rust site:docs.rs");
+	});
+});
+
+describe("titleQuery", () => {
+	it("uses the title with the query's bangs", () => {
+		assert.strictEqual(titleQuery("rust !n :de !p3", "Rust 1.77 released"), "Rust 1.77 released !n :de");
+	});
+
+	it("keeps title words from being read as bangs", () => {
+		assert.strictEqual(titleQuery("rust", "Hello !world :en"), "Hello world en");
+	});
+
+	it("returns empty string for an empty title", () => {
+		assert.strictEqual(titleQuery("rust", ""), "");
+		assert.strictEqual(titleQuery("rust", undefined), "");
+	});
+});
+
+describe("addRefineActions", () => {
+	it("adds both reruns", () => {
+		const item = { mods: {} };
+		addRefineActions(item, { url: "https://www.example.com/a", title: "Example page" }, "test !images");
+		assert.deepStrictEqual(item.mods["alt+shift"], {
+			arg: "test !images site:example.com",
+			subtitle: "⌥⇧: Search again within example.com",
+			variables: { action: "rerun" },
+		});
+		assert.strictEqual(item.mods["cmd+ctrl"].arg, "Example page !images");
+		assert.deepStrictEqual(item.mods["cmd+ctrl"].variables, { action: "rerun" });
+	});
+
+	it("disables the title rerun without a title", () => {
+		const item = { mods: {} };
+		addRefineActions(item, { url: "https://example.com/" }, "test");
+		assert.strictEqual(item.mods["cmd+ctrl"].valid, false);
+	});
+});
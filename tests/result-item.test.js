@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for resultToAlfredItem modifiers
+ * Run with: node tests/result-item.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract, extractConst } = require("./extract");
+
+// resultToAlfredItem reads CONFIG, favicons and the per-type renderers; stub those
+// eslint-disable-next-line no-eval
+const helpers = eval(`(() => {
+	${extract("function extractDomain(url)")}
+	${extract("function alfredMatcher(str)")}
+	${extract("function truncate(text, maxLength)")}
+	${extract("function buildSearchUrl(searxngUrl, query, filters)")}
+	${extract("function formatFilterSubtitle(filters)")}
+	${extract("function getResultType(result)")}
+	${extractConst("TRACKING_PARAMS")}
+	${extract("function isTrackingParam(name)")}
+	${extract("function domainMatches(domain, pattern)")}
+	${extractConst("BUILTIN_URL_RULES")}
+	${extract("function parseUrlRules(text)")}
+	${extract("function cleanUrl(url, rules)")}
+	${extract("function parseFrontendRewrites(text)")}
+	${extract("function rewriteFrontendUrl(url, rewrites)")}
+	${extract("function buildArchiveUrl(template, url)")}
+	${extract("function archiveMod(template, url, subtitle)")}
+	${extract("function parsePublishedDate(value)")}
+	${extract("function formatTimestamp(date)")}
+	${extractConst("COPY_FORMATS")}
+	${extract("function formatCopyAs(format, title, url, result, now = new Date())")}
+	const CONFIG = {
+		urlRules: [],
+		frontendRewrites: parseFrontendRewrites("*.youtube.com = https://yewtu.be"),
+		copyFormat: "markdown",
+		archiveUrls: { latest: "", alternate: "", save: "" },
+	};
+	const getFaviconPath = () => "icon.png";
+	${extract("function resultToAlfredItem(result, query, searxngUrl, secretKey, filters)")}
+	return { resultToAlfredItem };
+})()`);
+const { resultToAlfredItem } = helpers;
+
+const SEARXNG_URL = "https://search.example.com";
+const toItem = (url) => resultToAlfredItem({ url, title: "Page", content: "" }, "query", SEARXNG_URL, "", {});
+
+describe("resultToAlfredItem original URL modifiers", () => {
+	it("opens the URL with tracking parameters on ⇧ without a rewrite", () => {
+		const item = toItem("https://example.com/a?id=5&utm_source=feed");
+		assert.strictEqual(item.arg, "https://example.com/a?id=5");
+		assert.strictEqual(item.mods.shift.arg, "https://example.com/a?id=5&utm_source=feed");
+		assert.strictEqual(item.mods.shift.subtitle, "⇧: Open original URL (with tracking parameters)");
+	});
+
+	it("opens the cleaned original on ⇧ when a front-end rewrite applies", () => {
+		const item = toItem("https://www.youtube.com/watch?v=abc&si=xyz");
+		assert.strictEqual(item.arg, "https://yewtu.be/watch?v=abc");
+		assert.strictEqual(item.mods.shift.arg, "https://www.youtube.com/watch?v=abc");
+		assert.strictEqual(item.mods.shift.subtitle, "⇧: Open original URL on youtube.com");
+	});
+
+	it("always opens the unmodified URL on ⌘⌥⇧", () => {
+		assert.strictEqual(
+			toItem("https://www.youtube.com/watch?v=abc&si=xyz").mods["cmd+alt+shift"].arg,
+			"https://www.youtube.com/watch?v=abc&si=xyz"
+		);
+		assert.strictEqual(
+			toItem("https://example.com/a?id=5&utm_source=feed").mods["cmd+alt+shift"].arg,
+			"https://example.com/a?id=5&utm_source=feed"
+		);
+	});
+});
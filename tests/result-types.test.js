@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for result type detection and type-specific subtitles
+ * Run with: node tests/result-types.test.js
+ */
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { extract, extractConst } = require("./extract");
+
+// eslint-disable-next-line no-eval
+const helpers = eval(`(() => {
+	${extract("function extractDomain(url)")}
+	${extract("function getResultType(result)")}
+	${extract("function formatImageSubtitle(result, filterInfo)")}
+	${extract("function parsePublishedDate(value)")}
+	${extract("function formatRelativeTime(date, now = new Date())")}
+	${extract("function formatDuration(length)")}
+	${extract("function formatVideoSubtitle(result, filterInfo, now = new Date())")}
+	${extract("function canonicalVideoUrl(url)")}
+	${extract("function sortResultsByDate(results)")}
+	${extract("function formatTimestamp(date)")}
+	${extract("function formatAddress(address)")}
+	${extract("function mapZoom(boundingbox)")}
+	${extract("function buildMapUrl(template, place)")}
+	${extract("function formatAuthors(authors)")}
+	${extract("function formatPaperSubtitle(result, filterInfo)")}
+	${extractConst("PACKAGE_INSTALL_COMMANDS")}
+	${extract("function packageInstallCommand(result)")}
+	${extract("function formatPackageSubtitle(result, filterInfo, snippet)")}
+	return {
+		getResultType,
+		formatImageSubtitle,
+		parsePublishedDate,
+		formatRelativeTime,
+		formatDuration,
+		formatVideoSubtitle,
+		canonicalVideoUrl,
+		sortResultsByDate,
+		formatTimestamp,
+		formatAddress,
+		mapZoom,
+		buildMapUrl,
+		formatAuthors,
+		formatPaperSubtitle,
+		packageInstallCommand,
+		formatPackageSubtitle,
+	};
+})()`);
+const {
+	getResultType,
+	formatImageSubtitle,
+	parsePublishedDate,
+	formatRelativeTime,
+	formatDuration,
+	formatVideoSubtitle,
+	canonicalVideoUrl,
+	sortResultsByDate,
+	formatTimestamp,
+	formatAddress,
+	mapZoom,
+	buildMapUrl,
+	formatAuthors,
+	formatPaperSubtitle,
+	packageInstallCommand,
+	formatPackageSubtitle,
+} = helpers;
+
+const NOW = new Date("2026-03-10T12:00:00Z");
+
+describe("getResultType", () => {
+	it("uses the result template", () => {
+		assert.strictEqual(getResultType({ template: "images.html" }), "images");
+		assert.strictEqual(getResultType({ template: "videos.html", category: "general" }), "videos");
+		assert.strictEqual(getResultType({ template: "map.html" }), "map");
+	});
+
+	it("falls back to the category for the default template", () => {
+		assert.strictEqual(getResultType({ template: "default.html", category: "news" }), "news");
+		assert.strictEqual(getResultType({ category: "images" }), "images");
+	});
+
+	it("treats everything else as default", () => {
+		assert.strictEqual(getResultType({}), "default");
+		assert.strictEqual(getResultType({ template: "default.html", category: "general" }), "default");
+	});
+});
+
+describe("formatImageSubtitle", () => {
+	it("shows resolution and source", () => {
+		const result = { url: "https://commons.wikimedia.org/wiki/File:Rust.png", resolution: "1920x1080", source: "Wikimedia Commons" };
+		assert.strictEqual(formatImageSubtitle(result, ""), "1920 × 1080 · Wikimedia Commons");
+	});
+
+	it("falls back to the domain when the source is missing", () => {
+		const result = { url: "https://www.example.com/photo", resolution: "800 x 600" };
+		assert.strictEqual(formatImageSubtitle(result, ""), "800 × 600 · example.com");
+	});
+
+	it("skips a missing resolution and appends filters", () => {
+		const result = { url: "https://example.com/photo" };
+		assert.strictEqual(formatImageSubtitle(result, "Past week"), "example.com · Past week");
+	});
+});
+
+describe("parsePublishedDate", () => {
+	it("parses ISO dates with and without time zone", () => {
+		assert.strictEqual(parsePublishedDate("2026-03-07T12:00:00Z").toISOString(), "2026-03-07T12:00:00.000Z");
+		assert.ok(parsePublishedDate("2026-03-07T12:00:00") instanceof Date);
+	});
+
+	it("accepts a space between date and time", () => {
+		assert.strictEqual(
+			parsePublishedDate("2026-03-07 12:00:00Z").toISOString(),
+			"2026-03-07T12:00:00.000Z"
+		);
+	});
+
+	it("returns null for missing or invalid dates", () => {
+		assert.strictEqual(parsePublishedDate(null), null);
+		assert.strictEqual(parsePublishedDate(""), null);
+		assert.strictEqual(parsePublishedDate("yesterday"), null);
+	});
+});
+
+describe("formatRelativeTime", () => {
+	const ago = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+
+	it("describes recent times", () => {
+		assert.strictEqual(formatRelativeTime(ago(30), NOW), "just now");
+		assert.strictEqual(formatRelativeTime(ago(5 * 60), NOW), "5 min ago");
+		assert.strictEqual(formatRelativeTime(ago(2 * 3600), NOW), "2h ago");
+	});
+
+	it("describes days, weeks, months and years", () => {
+		assert.strictEqual(formatRelativeTime(ago(86400), NOW), "1 day ago");
+		assert.strictEqual(formatRelativeTime(ago(3 * 86400), NOW), "3 days ago");
+		assert.strictEqual(formatRelativeTime(ago(21 * 86400), NOW), "3 weeks ago");
+		assert.strictEqual(formatRelativeTime(ago(90 * 86400), NOW), "3 months ago");
+		assert.strictEqual(formatRelativeTime(ago(800 * 86400), NOW), "2 years ago");
+	});
+
+	it("treats future dates as just now", () => {
+		assert.strictEqual(formatRelativeTime(ago(-3600), NOW), "just now");
+	});
+});
+
+describe("formatDuration", () => {
+	it("formats seconds", () => {
+		assert.strictEqual(formatDuration(754), "12:34");
+		assert.strictEqual(formatDuration(3725), "1:02:05");
+		assert.strictEqual(formatDuration(59), "0:59");
+	});
+
+	it("drops a leading zero hour from strings", () => {
+		assert.strictEqual(formatDuration("0:12:34"), "12:34");
+		assert.strictEqual(formatDuration("1:02:05"), "1:02:05");
+		assert.strictEqual(formatDuration("12:34"), "12:34");
+	});
+
+	it("returns empty string for unknown lengths", () => {
+		assert.strictEqual(formatDuration(undefined), "");
+		assert.strictEqual(formatDuration(0), "");
+		assert.strictEqual(formatDuration(null), "");
+	});
+});
+
+describe("formatVideoSubtitle", () => {
+	it("shows length, channel and age", () => {
+		const result = {
+			url: "https://www.youtube.com/watch?v=abcdefghijk",
+			length: "12:34",
+			author: "Channel",
+			publishedDate: "2026-03-07T12:00:00Z",
+		};
+		assert.strictEqual(formatVideoSubtitle(result, "", NOW), "12:34 · Channel · 3 days ago");
+	});
+
+	it("falls back to the domain and skips missing fields", () => {
+		const result = { url: "https://vimeo.com/123" };
+		assert.strictEqual(formatVideoSubtitle(result, "Past week", NOW), "vimeo.com · Past week");
+	});
+});
+
+describe("canonicalVideoUrl", () => {
+	it("normalizes YouTube links to the watch URL", () => {
+		const watch = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+		assert.strictEqual(canonicalVideoUrl("https://youtu.be/dQw4w9WgXcQ?t=42"), watch);
+		assert.strictEqual(canonicalVideoUrl("https://www.youtube.com/watch?t=42&v=dQw4w9WgXcQ&list=PL1"), watch);
+		assert.strictEqual(canonicalVideoUrl("https://m.youtube.com/shorts/dQw4w9WgXcQ"), watch);
+		assert.strictEqual(canonicalVideoUrl("https://www.youtube.com/embed/dQw4w9WgXcQ?start=10"), watch);
+	});
+
+	it("strips timestamp parameters and fragments elsewhere", () => {
+		assert.strictEqual(canonicalVideoUrl("https://vimeo.com/123#t=30s"), "https://vimeo.com/123");
+		assert.strictEqual(
+			canonicalVideoUrl("https://example.com/watch?id=5&t=90&lang=en"),
+			"https://example.com/watch?id=5&lang=en"
+		);
+		assert.strictEqual(canonicalVideoUrl("https://example.com/v?start=10"), "https://example.com/v");
+	});
+
+	it("leaves URLs without timestamps alone", () => {
+		assert.strictEqual(canonicalVideoUrl("https://example.com/v/5"), "https://example.com/v/5");
+	});
+});
+
+describe("sortResultsByDate", () => {
+	it("puts the newest results first", () => {
+		const results = [
+			{ url: "a", publishedDate: "2026-03-01T00:00:00Z" },
+			{ url: "b", publishedDate: "2026-03-09T00:00:00Z" },
+			{ url: "c", publishedDate: "2026-03-05T00:00:00Z" },
+		];
+		assert.deepStrictEqual(sortResultsByDate(results).map((r) => r.url), ["b", "c", "a"]);
+	});
+
+	it("moves undated results to the end in score order", () => {
+		const results = [
+			{ url: "a" },
+			{ url: "b", publishedDate: "2026-03-01T00:00:00Z" },
+			{ url: "c", publishedDate: "not a date" },
+			{ url: "d", publishedDate: "2026-03-02T00:00:00Z" },
+		];
+		assert.deepStrictEqual(sortResultsByDate(results).map((r) => r.url), ["d", "b", "a", "c"]);
+	});
+
+	it("keeps score order for equal dates", () => {
+		const results = [
+			{ url: "a", publishedDate: "2026-03-01T00:00:00Z" },
+			{ url: "b", publishedDate: "2026-03-01T00:00:00Z" },
+		];
+		assert.deepStrictEqual(sortResultsByDate(results).map((r) => r.url), ["a", "b"]);
+	});
+
+	it("does not modify the input", () => {
+		const results = [{ url: "a" }, { url: "b", publishedDate: "2026-03-01T00:00:00Z" }];
+		sortResultsByDate(results);
+		assert.deepStrictEqual(results.map((r) => r.url), ["a", "b"]);
+	});
+});
+
+describe("formatTimestamp", () => {
+	it("formats local date and time", () => {
+		assert.strictEqual(formatTimestamp(new Date(2026, 2, 7, 14, 5)), "2026-03-07 14:05");
+	});
+});
+
+describe("formatAddress", () => {
+	it("formats street, city and country", () => {
+		const address = {
+			name: "Brandenburg Gate",
+			road: "Pariser Platz",
+			house_number: "1",
+			postcode: "10117",
+			locality: "Berlin",
+			country: "Germany",
+		};
+		assert.strictEqual(formatAddress(address), "Pariser Platz 1, 10117 Berlin, Germany");
+	});
+
+	it("skips missing parts", () => {
+		assert.strictEqual(formatAddress({ locality: "Berlin", country: "Germany" }), "Berlin, Germany");
+	});
+
+	it("returns empty string without address", () => {
+		assert.strictEqual(formatAddress(undefined), "");
+		assert.strictEqual(formatAddress({}), "");
+	});
+});
+
+describe("mapZoom", () => {
+	it("zooms out for large areas and in for small ones", () => {
+		assert.strictEqual(mapZoom(["47.2", "55.1", "5.8", "15.0"]), 5);
+		assert.strictEqual(mapZoom(["52.5160", "52.5166", "13.3774", "13.3780"]), 18);
+	});
+
+	it("defaults to street level without a usable box", () => {
+		assert.strictEqual(mapZoom(undefined), 16);
+		assert.strictEqual(mapZoom([1, 2]), 16);
+		assert.strictEqual(mapZoom(["52", "52", "13", "13"]), 16);
+	});
+});
+
+describe("buildMapUrl", () => {
+	const place = { lat: 52.5163, lon: 13.3777, zoom: 17, name: "Brandenburg Gate" };
+
+	it("fills the OpenStreetMap template", () => {
+		assert.strictEqual(
+			buildMapUrl("https://www.openstreetmap.org/?mlat={lat}&mlon={lon}#map={zoom}/{lat}/{lon}", place),
+			"https://www.openstreetmap.org/?mlat=52.5163&mlon=13.3777#map=17/52.5163/13.3777"
+		);
+	});
+
+	it("URL-encodes the place name", () => {
+		assert.strictEqual(
+			buildMapUrl("https://maps.apple.com/?ll={lat},{lon}&z={zoom}&q={name}", place),
+			"https://maps.apple.com/?ll=52.5163,13.3777&z=17&q=Brandenburg%20Gate"
+		);
+	});
+});
+
+describe("formatAuthors", () => {
+	it("lists up to two authors", () => {
+		assert.strictEqual(formatAuthors(["Ada Lovelace"]), "Ada Lovelace");
+		assert.strictEqual(formatAuthors(["Ada Lovelace", "Charles Babbage"]), "Ada Lovelace, Charles Babbage");
+	});
+
+	it("shortens longer lists with et al.", () => {
+		assert.strictEqual(formatAuthors(["A. Vaswani", "N. Shazeer", "N. Parmar"]), "A. Vaswani, N. Shazeer et al.");
+	});
+
+	it("returns empty string without authors", () => {
+		assert.strictEqual(formatAuthors(undefined), "");
+		assert.strictEqual(formatAuthors(["", "  "]), "");
+	});
+});
+
+describe("formatPaperSubtitle", () => {
+	it("shows authors, year and journal", () => {
+		const result = {
+			url: "https://arxiv.org/abs/1706.03762",
+			authors: ["A. Vaswani", "N. Shazeer", "N. Parmar"],
+			publishedDate: "2017-06-12T17:57:34",
+			journal: "NeurIPS",
+		};
+		assert.strictEqual(formatPaperSubtitle(result, ""), "A. Vaswani, N. Shazeer et al. · 2017 · NeurIPS");
+	});
+
+	it("falls back to the domain and appends filters", () => {
+		const result = { url: "https://pubmed.ncbi.nlm.nih.gov/123/" };
+		assert.strictEqual(formatPaperSubtitle(result, "Science"), "pubmed.ncbi.nlm.nih.gov · Science");
+	});
+});
+
+describe("packageInstallCommand", () => {
+	it("builds commands for known registries", () => {
+		assert.strictEqual(
+			packageInstallCommand({ url: "https://www.npmjs.com/package/left-pad", package_name: "left-pad" }),
+			"npm install left-pad"
+		);
+		assert.strictEqual(
+			packageInstallCommand({ url: "https://pypi.org/project/requests/", package_name: "requests" }),
+			"pip install requests"
+		);
+		assert.strictEqual(
+			packageInstallCommand({ url: "https://crates.io/crates/serde", package_name: "serde" }),
+			"cargo add serde"
+		);
+	});
+
+	it("drops Docker Hub's library namespace", () => {
+		assert.strictEqual(
+			packageInstallCommand({ url: "https://hub.docker.com/_/nginx", package_name: "library/nginx" }),
+			"docker pull nginx"
+		);
+	});
+
+	it("clones GitHub repositories from their source URL", () => {
+		const result = {
+			url: "https://github.com/sindresorhus/got",
+			package_name: "got",
+			source_code_url: "https://github.com/sindresorhus/got",
+		};
+		assert.strictEqual(packageInstallCommand(result), "git clone https://github.com/sindresorhus/got");
+	});
+
+	it("returns null for unknown registries", () => {
+		assert.strictEqual(packageInstallCommand({ url: "https://example.com/pkg", package_name: "pkg" }), null);
+	});
+});
+
+describe("formatPackageSubtitle", () => {
+	it("shows name@version and maintainer", () => {
+		const result = {
+			url: "https://www.npmjs.com/package/left-pad",
+			package_name: "left-pad",
+			version: "1.3.0",
+			maintainer: "stevemao",
+		};
+		assert.strictEqual(formatPackageSubtitle(result, "", ""), "left-pad@1.3.0 · stevemao");
+	});
+
+	it("skips missing version and maintainer", () => {
+		const result = { url: "https://pypi.org/project/requests/", package_name: "requests" };
+		assert.strictEqual(formatPackageSubtitle(result, "It", "HTTP for Humans"), "requests · It · HTTP for Humans");
+	});
+});
+
+describe("applyImageResult", () => {
+	// getImagePath and buildImageProxyUrl shell out under JXA, so stub them
+	// eslint-disable-next-line no-eval
+	const helpers = eval(`(() => {
+		${extract("function extractDomain(url)")}
+		${extract("function formatImageSubtitle(result, filterInfo)")}
+		${extract("function normalizeImageUrl(imageUrl)")}
+		let imagePreviewsThisSearch = 0;
+		${extractConst("MAX_IMAGE_PREVIEWS_PER_SEARCH")}
+		const getImagePath = () => null;
+		const buildImageProxyUrl = (searxngUrl, secretKey, imageUrl) =>
+			\`\${searxngUrl}/image_proxy?url=\${encodeURIComponent(imageUrl)}&h=hmac\`;
+		${extract("function applyImageResult(item, result, filterInfo, searxngUrl, secretKey)")}
+		const newSearch = () => {
+			imagePreviewsThisSearch = 0;
+		};
+		return { applyImageResult, newSearch, MAX_IMAGE_PREVIEWS_PER_SEARCH };
+	})()`);
+	const { applyImageResult, newSearch, MAX_IMAGE_PREVIEWS_PER_SEARCH } = helpers;
+	const newItem = () => ({ quicklookurl: "https://example.com/page", text: { largetype: "Cat" } });
+	const RESULT = { img_src: "//upload.example.org/cat.jpg" };
+
+	it("previews the full image through the image proxy", () => {
+		newSearch();
+		const item = newItem();
+		applyImageResult(item, RESULT, "", "https://search.example.com", "secret");
+		assert.strictEqual(
+			item.quicklookurl,
+			"https://search.example.com/image_proxy?url=https%3A%2F%2Fupload.example.org%2Fcat.jpg&h=hmac"
+		);
+	});
+
+	it("previews the hosting page without a secret key", () => {
+		newSearch();
+		const item = newItem();
+		applyImageResult(item, RESULT, "", "https://search.example.com", "");
+		assert.strictEqual(item.quicklookurl, "https://example.com/page");
+	});
+
+	it("builds a limited number of proxy previews per search", () => {
+		newSearch();
+		const items = Array.from({ length: MAX_IMAGE_PREVIEWS_PER_SEARCH + 2 }, newItem);
+		for (const item of items) {
+			applyImageResult(item, RESULT, "", "https://search.example.com", "secret");
+		}
+		const proxied = items.filter((item) => item.quicklookurl.includes("/image_proxy?"));
+		assert.strictEqual(proxied.length, MAX_IMAGE_PREVIEWS_PER_SEARCH);
+		assert.strictEqual(items[items.length - 1].quicklookurl, "https://example.com/page");
+	});
+});